@@ -2,10 +2,21 @@
  * Copyright (c) 2019-2022 Digital Bazaar, Inc. All rights reserved.
  */
 import * as utils from './utils.js';
-import {ProfileService} from '@bedrock/web-profile';
+import {
+  allowsReferenceId,
+  DEFAULT_ROLES,
+  getRole,
+  parseEdvReferenceId,
+  ROLE_ZCAP_REFERENCE_IDS
+} from './roles.js';
+import {CapabilityAgent} from '@digitalbazaar/webkms-client';
+import crypto from './crypto.js';
+import {EdvClient} from '@digitalbazaar/edv-client';
 
 // 365 days
 const DEFAULT_PROFILE_AGENT_ZCAP_TTL = 365 * 24 * 60 * 60 * 1000;
+// 7 days
+const DEFAULT_INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
 
 export class AccessManager {
   /**
@@ -17,10 +28,16 @@ export class AccessManager {
    * @param {object} options.profileManager - The parent `profileManager`
    *  instance.
    * @param {object} options.users - A `users` Collection instance.
+   * @param {object} [options.invitations] - An `invitations` Collection
+   *   instance, stored in the same EDV as `users`.
+   * @param {object} [options.roles] - The role name => role definition map
+   *   to use for profile users.
    *
    * @returns {AccessManager} - The new instance.
    */
-  constructor({profile, profileManager, users} = {}) {
+  constructor({
+    profile, profileManager, users, invitations, roles = DEFAULT_ROLES
+  } = {}) {
     if(!(profile && typeof profile === 'object')) {
       throw new TypeError('"profile" must be an object.');
     }
@@ -30,70 +47,99 @@ export class AccessManager {
     this.profile = profile;
     this.profileManager = profileManager;
     this.users = users;
+    this.invitations = invitations;
+    this.roles = roles;
   }
 
-  async createUser({content = {}, token}) {
-    // FIXME: no longer implemented, needs updating
-    throw new Error('Not implemented');
+  /**
+   * Creates a new user for the profile. A new profile agent is created
+   * for the user (assigned to the given account or application token), a
+   * `User` document is written for it to the profile's users collection,
+   * and the zcaps the new profile agent needs to read its `User` document
+   * and the profile document are delegated to it. If a `role` is given, the
+   * zcaps the role grants are delegated as well.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.content={}] - Additional content for the user
+   *   document; any `type` values are merged with `['User', 'Agent']`.
+   * @param {string} [options.role] - The name of the user's role.
+   * @param {string} [options.account] - The ID of the account to assign the
+   *   new profile agent to.
+   * @param {string} [options.token] - An application token to assign the
+   *   new profile agent to instead of an account.
+   *
+   * @returns {Promise<object>} The content of the new user document.
+   */
+  async createUser({content = {}, account, token, role} = {}) {
+    if(role !== undefined) {
+      getRole({roles: this.roles, role});
+    }
+    const {profile, profileManager} = this;
+    const {_profileService: profileService} = profileManager;
+
+    // get zcap to delegate from before creating anything in the backend
+    const agent = await profileManager.getAgent({profileId: profile.id});
+    const profileDocCapability = agent.zcaps['profile-edv-document'];
+    const edvId = this.users.edvClient.parseEdvId(
+      {capability: profileDocCapability});
+    const edvParentCapability = `urn:zcap:root:${encodeURIComponent(edvId)}`;
+    const {invocationSigner} = await profileManager.getProfileSigner(
+      {profileId: profile.id});
 
     // create a profile agent
-    const profileService = new ProfileService();
-    const {profile, profileManager} = this;
-    const {accountId} = profileManager;
     const {profileAgent} = await profileService.createAgent({
-      profile: profile.id, token
+      account, profile: profile.id, token
     });
     const {id: profileAgentId} = profileAgent;
 
-    // get zcap to delegate from
-    const {accessManagement} = profile;
-    const edvParentCapability =
-      `urn:zcap:root:${encodeURIComponent(accessManagement.edvId)}`;
-    const {invocationSigner} = await profileManager.getProfileSigner(
-      {profileId: profile.id});
-
-    // delegate zcap to enable agent to read profile doc
-    const {zcaps = {}} = content;
-    if(!zcaps['profile-edv-document']) {
-      const agent = await profileManager.getAgent({profileId: profile.id});
-      const profileDocCapability = agent.zcaps['profile-edv-document'];
-      const profileDocZcap = await _delegateProfileUserDocZcap({
-        capability: edvParentCapability,
-        controller: profileAgentId,
-        invocationTarget: profileDocCapability.invocationTarget,
-        invocationSigner
-      });
-      zcaps['profile-edv-document'] = profileDocZcap;
-    }
+    let agentDoc;
+    try {
+      // delegate zcap to enable agent to read profile doc
+      const zcaps = {...content.zcaps};
+      if(!zcaps['profile-edv-document']) {
+        const profileDocZcap = await _delegateProfileUserDocZcap({
+          capability: edvParentCapability,
+          controller: profileAgentId,
+          invocationTarget: profileDocCapability.invocationTarget,
+          invocationSigner
+        });
+        zcaps['profile-edv-document'] = profileDocZcap;
+      }
+      if(role !== undefined) {
+        const roleZcaps = await this._delegateRoleZcaps({
+          role, controller: profileAgentId, edvId, agent, invocationSigner
+        });
+        Object.assign(zcaps, roleZcaps);
+      }
 
-    // create user doc for profile agent
-    const type = ['User', 'Agent'];
-    let {type: agentTypes = []} = content;
-    if(!Array.isArray(agentTypes)) {
-      agentTypes = [agentTypes];
-    }
-    for(const t of agentTypes) {
-      if(!type.includes(t)) {
-        type.push(t);
+      // create user doc for profile agent
+      const type = ['User', 'Agent'];
+      let {type: agentTypes = []} = content;
+      if(!Array.isArray(agentTypes)) {
+        agentTypes = [agentTypes];
       }
-    }
-    const agentDoc = await this.users.create({
-      item: {
+      for(const t of agentTypes) {
+        if(!type.includes(t)) {
+          type.push(t);
+        }
+      }
+      const item = {
         ...content,
         id: profileAgentId,
         type,
         zcaps,
         authorizedDate: (new Date()).toISOString()
+      };
+      if(role !== undefined) {
+        item.role = role;
       }
-    });
+      agentDoc = await this.users.create({item});
 
-    // create zcaps for accessing profile agent user doc for storage in
-    // the agent record
-    const {keyAgreementKey} = accessManagement;
-    // FIXME: delegate `user-edv-kak` and `userDocument`
-    const agentRecordZcaps = await this.profileManager.
-      _delegateAgentRecordZcaps({
-        edvId: accessManagement.edvId,
+      // create zcaps for accessing profile agent user doc for storage in
+      // the agent record
+      const {keyAgreementKey} = profile.accessManagement;
+      const agentRecordZcaps = await profileManager._delegateAgentRecordZcaps({
+        edvId,
         profileAgentId,
         docId: agentDoc.id,
         edvParentCapability,
@@ -101,19 +147,36 @@ export class AccessManager {
         invocationSigner
       });
 
-    // store capabilities for accessing the profile agent's user document and
-    // the kak in the profileAgent record in the backend
-    await profileService.updateAgentCapabilitySet({
-      account: accountId,
-      profileAgentId,
-      // this map includes capabilities for user document and kak
-      zcaps: {
-        ...profileAgent.zcaps,
-        ...agentRecordZcaps
-      }
-    });
+      // store capabilities for accessing the profile agent's user document
+      // and the kak in the profileAgent record in the backend
+      await profileService.updateAgentCapabilitySet({
+        account,
+        profileAgentId,
+        // this map includes capabilities for user document and kak
+        zcaps: {
+          ...profileAgent.zcaps,
+          ...agentRecordZcaps
+        }
+      });
 
-    return agentDoc.content;
+      // keep a copy of the agent record zcaps so that they can be revoked by
+      // `ProfileManager.revokeAgentAccess`
+      return await this.updateUser({
+        id: profileAgentId,
+        async mutator({existing}) {
+          return {
+            ...existing, content: {...existing.content, agentRecordZcaps}
+          };
+        }
+      });
+    } catch(e) {
+      // do not leave an orphaned profile agent or user doc behind
+      await Promise.allSettled([
+        profileService.deleteAgent({id: profileAgentId, account}),
+        agentDoc && this.users.remove({id: profileAgentId})
+      ]);
+      throw e;
+    }
   }
 
   async updateUser({id, user, mutator, retry = true} = {}) {
@@ -133,18 +196,510 @@ export class AccessManager {
     return results.map(({content}) => content);
   }
 
-  async removeUser({id} = {}) {
-    // TODO: handle removal of self
+  /**
+   * Gets the role definition for a user. Users that were created without a
+   * role have no restrictions and `null` is returned for them.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.user - The user document content.
+   *
+   * @returns {object|null} The role definition or `null`.
+   */
+  getUserRole({user} = {}) {
+    if(user.role === undefined) {
+      return null;
+    }
+    return getRole({roles: this.roles, role: user.role});
+  }
+
+  /**
+   * Gets the actions a user may be delegated for documents in the profile
+   * EDV with the given reference ID, based on the user's role.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the user (its profile agent ID).
+   * @param {string} options.referenceId - The reference ID of the profile EDV.
+   *
+   * @throws {Error} - With name `NotAllowedError` if the user's role does not
+   *   allow access to the EDV.
+   * @returns {Promise<Array|undefined>} The allowed actions or `undefined` if
+   *   the user has no role (or no user document yet) and is not restricted.
+   */
+  async getAllowedEdvActions({id, referenceId} = {}) {
+    const userDoc = await this.users.get({id});
+    if(!userDoc) {
+      return;
+    }
+    const role = this.getUserRole({user: userDoc.content});
+    if(!role) {
+      return;
+    }
+    if(!allowsReferenceId({role, referenceId})) {
+      const error = new Error(
+        `The role "${userDoc.content.role}" of user "${id}" does not allow ` +
+        `access to the "${referenceId}" EDV.`);
+      error.name = 'NotAllowedError';
+      throw error;
+    }
+    return role.allowedActions;
+  }
+
+  /**
+   * Changes the role of a user. Zcaps the new role does not grant are removed
+   * from the user, zcaps it grants that the user does not have yet are
+   * delegated, and profile EDV document zcaps are re-delegated with the
+   * actions the new role allows. Removed and replaced zcaps are revoked and
+   * recorded in the `revocations` of the user's `User` document.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the user (its profile agent ID).
+   * @param {string} options.role - The name of the new role.
+   *
+   * @throws {Error} An `AggregateError` with the `errors` of the zcaps that
+   *   could not be revoked, after the role has been changed.
+   * @returns {Promise<object>} The updated user document content.
+   */
+  async updateUserRole({id, role} = {}) {
+    const roleDefinition = getRole({roles: this.roles, role});
+    const {profile, profileManager} = this;
+    const [agent, {invocationSigner}] = await Promise.all([
+      profileManager.getAgent({profileId: profile.id}),
+      profileManager.getProfileSigner({profileId: profile.id})
+    ]);
+    const edvId = this.users.edvClient.parseEdvId(
+      {capability: agent.zcaps['profile-edv-document']});
+
+    // zcaps removed from the user, to revoke once the role is changed
+    let removed;
+    const updatedDoc = await this.users.update({
+      id,
+      mutator: async ({existing}) => {
+        removed = {};
+        const zcaps = {...existing.content.zcaps};
+        for(const [referenceId, zcap] of Object.entries(zcaps)) {
+          // drop zcaps the role does not grant
+          if(ROLE_ZCAP_REFERENCE_IDS.includes(referenceId)) {
+            if(!roleDefinition.zcaps.includes(referenceId)) {
+              removed[referenceId] = zcap;
+              delete zcaps[referenceId];
+            }
+            continue;
+          }
+          const edvReferenceId = parseEdvReferenceId(referenceId);
+          if(edvReferenceId === null) {
+            continue;
+          }
+          if(!allowsReferenceId(
+            {role: roleDefinition, referenceId: edvReferenceId})) {
+            removed[referenceId] = zcap;
+            delete zcaps[referenceId];
+            continue;
+          }
+          // re-delegate documents zcap if its actions do not match the role
+          if(referenceId.endsWith('-edv-documents') &&
+            !_sameActions(zcap.allowedAction, roleDefinition.allowedActions)) {
+            const zcapEdvId = this.users.edvClient.parseEdvId(
+              {capability: zcap});
+            removed[referenceId] = zcap;
+            zcaps[referenceId] = await utils.delegate({
+              signer: invocationSigner,
+              allowedActions: roleDefinition.allowedActions,
+              capability: `urn:zcap:root:${encodeURIComponent(zcapEdvId)}`,
+              controller: zcap.controller,
+              invocationTarget: zcap.invocationTarget,
+              expires: new Date(Date.now() + DEFAULT_PROFILE_AGENT_ZCAP_TTL)
+            });
+          }
+        }
+        // delegate zcaps the role grants that the user does not have yet
+        const missing = roleDefinition.zcaps.filter(r => !zcaps[r]);
+        if(missing.length > 0) {
+          const roleZcaps = await this._delegateRoleZcaps({
+            role, controller: id, edvId, agent, invocationSigner,
+            referenceIds: missing
+          });
+          Object.assign(zcaps, roleZcaps);
+        }
+        return {
+          ...existing,
+          content: {...existing.content, role, zcaps}
+        };
+      }
+    });
+
+    // revoke the removed zcaps so they cannot be used until they expire
+    const {revocations, errors} = await profileManager._revokeZcaps(
+      {profileId: profile.id, zcaps: removed, invocationSigner});
+    let user = updatedDoc.content;
+    if(revocations.length > 0) {
+      user = await this.updateUser({
+        id,
+        async mutator({existing}) {
+          const content = {
+            ...existing.content,
+            revocations: [...existing.content.revocations || [], ...revocations]
+          };
+          return {...existing, content};
+        }
+      });
+    }
+    profileManager._clearAgentCache(
+      {profileId: profile.id, profileAgentId: id});
+
+    if(errors.length > 0) {
+      const error = new Error('Could not revoke all zcaps.');
+      error.name = 'AggregateError';
+      error.errors = errors;
+      throw error;
+    }
+    return user;
+  }
+
+  /**
+   * Removes a user from the profile by deleting its `User` document and its
+   * profile agent. The last user that can use the profile's capability
+   * invocation key cannot be removed unless `allowLastKeyHolder` is set and
+   * the caller's own user can only be removed if `allowSelf` is set.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the user (its profile agent ID).
+   * @param {boolean} [options.allowSelf=false] - Set to `true` to allow
+   *   removing the profile agent of the caller.
+   * @param {boolean} [options.allowLastKeyHolder=false] - Set to `true` to
+   *   allow removing the last user that can use the profile's capability
+   *   invocation key, e.g., when the profile is being deleted.
+   * @param {boolean} [options.revoke=true] - Set to `false` to skip revoking
+   *   the zcaps held by the profile agent before it is removed.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async removeUser({
+    id, allowSelf = false, allowLastKeyHolder = false, revoke = true
+  } = {}) {
+    const {profile, profileManager} = this;
+    const [agent, users] = await Promise.all([
+      profileManager.getAgent({profileId: profile.id}),
+      this.getUsers()
+    ]);
+    const isSelf = id === agent.id;
+    if(isSelf && !allowSelf) {
+      const error = new Error(
+        `Removing the caller's own profile agent "${id}" requires ` +
+        '"allowSelf" to be set.');
+      error.name = 'NotAllowedError';
+      throw error;
+    }
+
+    // ensure at least one other user can still use the profile's capability
+    // invocation key; the caller's own zcaps may only be in its agent record
+    const {roles} = this;
+    const canInvoke = user => _canUseProfileKey(
+      {user: user.id === agent.id ? {...user, ...agent} : user, roles});
+    const user = users.find(({id: userId}) => userId === id);
+    if(!allowLastKeyHolder && user && canInvoke(user) &&
+      !users.some(other => other.id !== id && canInvoke(other))) {
+      const error = new Error(
+        `User "${id}" is the last user that can use the profile's ` +
+        'capability invocation key and cannot be removed.');
+      error.name = 'NotAllowedError';
+      throw error;
+    }
+
+    // revoke zcaps so they cannot be used until they expire; the caller's
+    // own zcaps are needed to remove it, so they are revoked afterwards
+    // using a signer obtained beforehand
+    let invocationSigner;
+    if(revoke) {
+      if(isSelf) {
+        ({invocationSigner} = await profileManager.getProfileSigner(
+          {profileId: profile.id}));
+      } else if(user) {
+        await profileManager.revokeAgentAccess(
+          {profileId: profile.id, profileAgentId: id});
+      }
+      // the user's zcaps were delegated from its invitation's zcaps
+      if(user && user.invitation) {
+        await this.revokeInvitation({id: user.invitation});
+      }
+    }
+
     await this.users.remove({id});
 
     // remove profile agent record
     // TODO: check authority model on this
-    const profileService = new ProfileService();
-    await profileService.deleteAgent({
+    await profileManager._profileService.deleteAgent({
       id,
-      account: this.profileManager.accountId
+      account: profileManager.accountId
     });
+
+    let errors = [];
+    if(revoke && isSelf) {
+      ({errors} = await profileManager._revokeZcaps(
+        {profileId: profile.id, zcaps: agent.zcaps, invocationSigner}));
+    }
+
+    profileManager._clearAgentCache(
+      {profileId: profile.id, profileAgentId: id, isSelf});
+
+    if(errors.length > 0) {
+      const error = new Error('Could not revoke all zcaps.');
+      error.name = 'AggregateError';
+      error.errors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Creates an invitation for another account to join the profile with the
+   * given role. The returned token is single-use and must be passed to
+   * `ProfileManager.acceptInvitation` by the invitee's session; it is signed
+   * by the profile and contains a secret for an invitation capability agent
+   * and the zcaps that are delegated to it. The secret is only kept in the
+   * token. The invitee's zcaps are delegated from these, so revoking the
+   * invitation revokes them until they are refreshed (see
+   * `ProfileManager.refreshAgentCapabilities`).
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.role - The name of the role for the invitee.
+   * @param {Date|string} [options.expires] - When the invitation expires;
+   *   defaults to seven days from now.
+   *
+   * @returns {Promise<object>} An object with the `token` to give to the
+   *   invitee and the `invitation` document content.
+   */
+  async createInvitation({
+    role, expires = new Date(Date.now() + DEFAULT_INVITATION_TTL)
+  } = {}) {
+    getRole({roles: this.roles, role});
+    expires = new Date(expires);
+    if(isNaN(expires) || expires <= Date.now()) {
+      throw new TypeError('"expires" must be a date in the future.');
+    }
+    const {profile, profileManager} = this;
+    const [agent, {invocationSigner}] = await Promise.all([
+      profileManager.getAgent({profileId: profile.id}),
+      profileManager.getProfileSigner({profileId: profile.id})
+    ]);
+    const profileDocCapability = agent.zcaps['profile-edv-document'];
+    const edvId = this.users.edvClient.parseEdvId(
+      {capability: profileDocCapability});
+    const edvParentCapability = `urn:zcap:root:${encodeURIComponent(edvId)}`;
+
+    // generate invitation capability agent
+    const id = `urn:uuid:${crypto.randomUUID()}`;
+    const secret = new Uint8Array(32);
+    crypto.getRandomValues(secret);
+    const capabilityAgent = await CapabilityAgent.fromSecret(
+      {secret, handle: id});
+    const {id: controller} = capabilityAgent;
+
+    // delegate the zcaps the invitee will be delegated...
+    const userDocumentId = await EdvClient.generateId();
+    const [profileDocZcap, agentRecordZcaps, roleZcaps] = await Promise.all([
+      _delegateProfileUserDocZcap({
+        capability: edvParentCapability,
+        controller,
+        invocationTarget: profileDocCapability.invocationTarget,
+        invocationSigner
+      }),
+      profileManager._delegateAgentRecordZcaps({
+        edvId,
+        profileAgentId: controller,
+        docId: userDocumentId,
+        edvParentCapability,
+        keyAgreementKey: profile.accessManagement.keyAgreementKey,
+        invocationSigner
+      }),
+      this._delegateRoleZcaps(
+        {role, controller, edvId, agent, invocationSigner})
+    ]);
+    const zcaps = {
+      'profile-edv-document': profileDocZcap,
+      ...agentRecordZcaps,
+      ...roleZcaps
+    };
+    const invitationDoc = await this.invitations.create({
+      item: {
+        id,
+        type: 'Invitation',
+        role,
+        status: 'pending',
+        controller,
+        userDocumentId,
+        expires: expires.toISOString(),
+        createdDate: (new Date()).toISOString(),
+        zcaps
+      }
+    });
+
+    // ...and the zcaps needed to accept the invitation, which only cover the
+    // invitation document and blinding the user document's indexes; these
+    // expire with the invitation and are revoked once it is accepted
+    const {hmac} = profile.accessManagement;
+    const hmacId = hmac.kmsId || hmac.id;
+    const [invitationDocZcap, hmacZcap] = await Promise.all([
+      utils.delegate({
+        signer: invocationSigner,
+        allowedActions: ['read', 'write'],
+        capability: edvParentCapability,
+        controller,
+        invocationTarget: `${edvId}/documents/${invitationDoc.id}`,
+        expires
+      }),
+      utils.delegate({
+        signer: invocationSigner,
+        allowedActions: ['sign'],
+        capability: `urn:zcap:root:${encodeURIComponent(
+          utils.parseKeystoreId(hmacId))}`,
+        controller,
+        invocationTarget: hmacId,
+        expires
+      })
+    ]);
+    zcaps['invitation-document'] = invitationDocZcap;
+    zcaps['invitation-edv-hmac'] = hmacZcap;
+    const {content: invitation} = await this.invitations.update({
+      id,
+      async mutator({existing}) {
+        return {...existing, content: {...existing.content, zcaps}};
+      }
+    });
+    const token = await utils.signInvitationToken({
+      invitation: {
+        id,
+        documentId: invitationDoc.id,
+        profileId: profile.id,
+        secret: utils.base64UrlEncode(secret),
+        zcaps
+      },
+      signer: invocationSigner
+    });
+    return {token, invitation};
+  }
+
+  /**
+   * Gets the profile's invitations.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} [options.status] - Only return invitations with this
+   *   status (`pending`, `consumed`, or `revoked`).
+   *
+   * @returns {Promise<Array>} The invitation document contents.
+   */
+  async getInvitations({status} = {}) {
+    const results = await this.invitations.getAll();
+    const invitations = results.map(({content}) => content);
+    if(!status) {
+      return invitations;
+    }
+    return invitations.filter(invitation => invitation.status === status);
+  }
+
+  /**
+   * Revokes an invitation by revoking the zcaps that were delegated to it.
+   * If the invitation has already been accepted, the invitee's access is
+   * revoked as well since its zcaps were delegated from the invitation's.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the invitation.
+   *
+   * @returns {Promise<object>} The updated invitation document content.
+   */
+  async revokeInvitation({id} = {}) {
+    const existing = await this.invitations.get({id});
+    if(!existing) {
+      const error = new Error(`Invitation "${id}" not found.`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    const {profile, profileManager} = this;
+    const {errors} = await profileManager._revokeZcaps(
+      {profileId: profile.id, zcaps: existing.content.zcaps});
+    if(errors.length > 0) {
+      const error = new Error('Could not revoke invitation.');
+      error.name = 'AggregateError';
+      error.errors = errors;
+      throw error;
+    }
+    const updatedDoc = await this.invitations.update({
+      id,
+      async mutator({existing}) {
+        return {
+          ...existing,
+          content: {
+            ...existing.content,
+            status: 'revoked',
+            revokedDate: (new Date()).toISOString()
+          }
+        };
+      }
+    });
+    return updatedDoc.content;
+  }
+
+  async _delegateRoleZcaps({
+    role, controller, edvId, agent, invocationSigner,
+    referenceIds = getRole({roles: this.roles, role}).zcaps
+  }) {
+    const {accessManagement} = this.profile;
+    const expires = new Date(Date.now() + DEFAULT_PROFILE_AGENT_ZCAP_TTL);
+    const requests = referenceIds.map(referenceId => {
+      if(referenceId === 'user-edv-documents') {
+        return {
+          referenceId,
+          allowedActions: ['read', 'write'],
+          invocationTarget: `${edvId}/documents`,
+          capability: `urn:zcap:root:${encodeURIComponent(edvId)}`
+        };
+      }
+      let invocationTarget;
+      if(referenceId === 'user-edv-hmac') {
+        const {hmac} = accessManagement;
+        invocationTarget = hmac.kmsId || hmac.id;
+      } else if(referenceId === 'profileCapabilityInvocationKey') {
+        ({invocationTarget} = agent.zcaps[referenceId]);
+      } else {
+        throw new Error(
+          `Unsupported role zcap reference ID "${referenceId}".`);
+      }
+      const keystoreId = utils.parseKeystoreId(invocationTarget);
+      return {
+        referenceId,
+        allowedActions: ['sign'],
+        invocationTarget,
+        capability: `urn:zcap:root:${encodeURIComponent(keystoreId)}`
+      };
+    });
+    const delegated = await Promise.all(
+      requests.map(request => utils.delegate({
+        signer: invocationSigner,
+        controller,
+        expires,
+        ...request
+      })));
+    // build zcap referenceId => zcap map
+    const zcaps = {};
+    for(const [i, zcap] of delegated.entries()) {
+      zcaps[requests[i].referenceId] = zcap;
+    }
+    return zcaps;
+  }
+}
+
+function _canUseProfileKey({user, roles}) {
+  if(user.zcaps && user.zcaps.profileCapabilityInvocationKey) {
+    return true;
+  }
+  const role = Object.hasOwn(roles, user.role) ? roles[user.role] : null;
+  return !!role && role.zcaps.includes('profileCapabilityInvocationKey');
+}
+
+function _sameActions(allowedAction, allowedActions) {
+  if(!Array.isArray(allowedAction)) {
+    allowedAction = allowedAction === undefined ? [] : [allowedAction];
   }
+  return allowedAction.length === allowedActions.length &&
+    allowedActions.every(action => allowedAction.includes(action));
 }
 
 async function _delegateProfileUserDocZcap({
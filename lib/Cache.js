@@ -0,0 +1,175 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import LRU from 'lru-cache';
+
+export class Cache {
+  /**
+   * Creates an in-memory LRU cache that can also persist its entries to a
+   * local store (e.g., a `SessionStorageStore` or `IndexedDbStore`) so they
+   * survive page reloads. Only entries that are safe to persist should be
+   * set in a cache with a `store`. Persisted entries are written once their
+   * value (which may be a promise) resolves and are loaded using `load`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.name - The name of the cache.
+   * @param {number} [options.max] - The maximum number of entries.
+   * @param {number} [options.maxAge] - The default maximum age of entries in
+   *   milliseconds.
+   * @param {object} [options.store] - The local store to persist entries to.
+   * @param {object} [options.emitter] - An emitter to emit `cacheSet`
+   *   and `cacheEvicted` events with `{cacheName, key}` to.
+   * @param {Function} [options.dispose] - Called with `{key, value}` when an
+   *   entry is deleted, expires, or is evicted.
+   *
+   * @returns {Cache} - The new instance.
+   */
+  constructor({name, max, maxAge, store, emitter, dispose} = {}) {
+    this.name = name;
+    this.store = store;
+    this.emitter = emitter;
+    this.hits = 0;
+    this.misses = 0;
+    this._lru = new LRU({
+      max, maxAge,
+      // called when entries are deleted, expire, or are evicted to make room
+      dispose: (key, value) => {
+        this._emit('cacheEvicted', {key});
+        if(dispose) {
+          dispose({key, value});
+        }
+      },
+      noDisposeOnSet: true
+    });
+  }
+
+  get(key) {
+    const value = this._lru.get(key);
+    if(value === undefined) {
+      this.misses++;
+    } else {
+      this.hits++;
+    }
+    return value;
+  }
+
+  // gets a value without counting a hit or miss or updating its recency
+  peek(key) {
+    return this._lru.peek(key);
+  }
+
+  set(key, value, maxAge) {
+    this._lru.set(key, value, maxAge);
+    this._emit('cacheSet', {key});
+    if(this.store) {
+      this._persist({key, value, maxAge: maxAge || this._lru.maxAge});
+    }
+  }
+
+  del(key) {
+    this._lru.del(key);
+    if(this.store) {
+      this.store.delete({key: this._getStoreKey(key)}).catch(() => {});
+    }
+  }
+
+  keys() {
+    return this._lru.keys();
+  }
+
+  /**
+   * Gets the number of cache `hits` and `misses` and the `size` and keys
+   * (`entries`) of the unexpired entries.
+   *
+   * @returns {object} The statistics.
+   */
+  getStats() {
+    this.prune();
+    const {hits, misses} = this;
+    return {hits, misses, size: this._lru.itemCount, entries: this._lru.keys()};
+  }
+
+  /**
+   * Removes the expired entries from memory.
+   */
+  prune() {
+    this._lru.prune();
+  }
+
+  /**
+   * Removes every entry from memory; persisted entries are kept.
+   */
+  reset() {
+    this._lru.reset();
+  }
+
+  /**
+   * Removes every entry from memory and from the store.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async clear() {
+    this._lru.reset();
+    if(this.store) {
+      const entries = await this.store.list({prefix: this._getStoreKey('')});
+      await Promise.all(entries.map(({key}) => this.store.delete({key})));
+    }
+  }
+
+  /**
+   * Loads the unexpired entries persisted in the store into memory.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async load() {
+    if(!this.store) {
+      return;
+    }
+    const prefix = this._getStoreKey('');
+    const entries = await this.store.list({prefix});
+    const now = Date.now();
+    for(const {key, value: {value, promise, expires}} of entries) {
+      if(expires && expires <= now) {
+        this.store.delete({key}).catch(() => {});
+        continue;
+      }
+      this._lru.set(
+        key.slice(prefix.length), promise ? Promise.resolve(value) : value,
+        expires ? expires - now : undefined);
+    }
+  }
+
+  async _persist({key, value, maxAge}) {
+    const promise = !!value && typeof value.then === 'function';
+    let resolved;
+    try {
+      resolved = await value;
+    } catch(e) {
+      // rejected values are not persisted
+      return;
+    }
+    // skip entries that were replaced or deleted while resolving
+    if(this._lru.peek(key) !== value) {
+      return;
+    }
+    const expires = maxAge ? Date.now() + maxAge : undefined;
+    try {
+      await this.store.put({
+        key: this._getStoreKey(key),
+        value: {value: resolved, promise, expires}
+      });
+    } catch(e) {
+      // persisting is best effort; the entry is still cached in memory
+    }
+  }
+
+  _emit(event, {key}) {
+    if(this.emitter) {
+      this.emitter.emit(event, {cacheName: this.name, key});
+    }
+  }
+
+  _getStoreKey(key) {
+    return `${this.name}/${key}`;
+  }
+}
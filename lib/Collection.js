@@ -2,14 +2,66 @@
  * Copyright (c) 2020-2022 Digital Bazaar, Inc. All rights reserved.
  */
 import {EdvClient} from '@digitalbazaar/edv-client';
+import {EncryptedStore} from './localStores.js';
+import {EventEmitter} from './EventEmitter.js';
+import {validateItem} from './validation.js';
+
+const CONFLICT_STRATEGIES = ['fail', 'last-writer-wins', 'retry', 'merge'];
+const DEFAULT_BULK_CONCURRENCY = 5;
+const DEFAULT_MAX_ATTEMPTS = 10;
+const DEFAULT_MAX_RETRY_DELAY = 5000;
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_RETRY_DELAY = 50;
+const EVENTS = ['created', 'updated', 'removed', 'syncFailed', 'error'];
+const MATCH_MODES = ['all', 'any'];
+// `fetch` rejects with a `TypeError` and `ky` with a `TimeoutError`
+const NETWORK_ERRORS = ['TimeoutError', 'TypeError'];
 
 export default class Collection {
-  constructor({type, edvClient}) {
+  constructor({
+    type, edvClient, indexes = [], schema, schemas, migrations = {},
+    emitter = new EventEmitter(), localStore, softDelete = false
+  }) {
     this.type = type;
+    this.softDelete = softDelete;
     this.edvClient = edvClient;
+    this.emitter = emitter;
+    // documents and queued writes for offline use, encrypted at rest
+    this.localStore = localStore ? new EncryptedStore({store: localStore}) :
+      null;
+    // number of queued writes, read from the local store on first use
+    this._pending = null;
+    this._queued = 0;
+    this._syncing = null;
+    // event => (handler => wrapped handler that filters by type)
+    this._handlers = new Map(EVENTS.map(event => [event, new Map()]));
+    this.schema = schema;
+    this.schemas = schemas;
+    this._migrations = _getMigrations({migrations, type});
+    // documents changed by migrations that have not been written yet
+    this._migrated = new WeakSet();
+    for(const attribute of indexes) {
+      this._ensureIndex(_getContentAttribute(attribute));
+    }
   }
 
-  async create({item, meta} = {}) {
+  /**
+   * Creates a document of this collection's type.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.item - The content of the document.
+   * @param {object} [options.meta] - The meta of the document.
+   * @param {Blob|ReadableStream} [options.stream] - An attachment to store
+   *   in encrypted chunks with the document; see `getStream`. The EDV client
+   *   cannot delete chunks, so they are left on the EDV server (orphaned)
+   *   when the document is removed or its attachment is replaced by a
+   *   shorter one.
+   * @param {number} [options.chunkSize] - The size of the attachment's
+   *   chunks in bytes; defaults to the EDV client's (1 MiB).
+   *
+   * @returns {Promise<object>} The created document.
+   */
+  async create({item, meta, stream, chunkSize} = {}) {
     if(!(item && typeof item === 'object')) {
       throw new TypeError(`"item" must be an object.`);
     }
@@ -18,28 +70,339 @@ export default class Collection {
       throw new TypeError(
         `"item.type" (${item.type}) must include "${this.type}".`);
     }
+    _assertStream(stream);
+    this._validate(item);
     const {edvClient} = this;
     const id = await EdvClient.generateId();
-    return edvClient.update({doc: {id, content: item, meta}});
+    const doc = {
+      id, content: item, meta: {...meta, schemaVersion: this._schemaVersion()}
+    };
+    const document = await this._write({
+      op: 'create', doc, queueable: !stream,
+      write: () => edvClient.update(
+        {doc, stream: _toReadableStream(stream), chunkSize})
+    });
+    this._emit('created', {document});
+    return document;
   }
 
-  async get({id} = {}) {
+  /**
+   * Gets a document of this collection's type.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the item.
+   * @param {boolean} [options.includeDeleted=false] - Set to `true` to also
+   *   get the document if it is in the trash; see `remove`.
+   *
+   * @returns {Promise<object>} The document or `null` if not found.
+   */
+  async get({id, includeDeleted = false} = {}) {
+    return this._get({id, includeDeleted});
+  }
+
+  // `replaying` is set when getting a document to replay a queued write
+  async _get({id, includeDeleted = false, replaying = false}) {
     if(typeof id !== 'string') {
       throw new TypeError('"id" must be a string.');
     }
-    const results = await this._findDocuments({id, limit: 1});
-    if(results.length > 0) {
-      return results[0];
+    const doc = await this._read({
+      replaying,
+      remote: async () => {
+        const [doc = null] = await this._findDocuments({id, limit: 1});
+        if(doc) {
+          await this._storeDocuments([doc]);
+        } else {
+          await this._unstoreDocument({id});
+        }
+        return doc;
+      },
+      local: async () => {
+        const doc = await this.localStore.get({key: `doc/${id}`});
+        return doc || null;
+      }
+    });
+    if(doc && !includeDeleted && _isTrashed(doc)) {
+      return null;
     }
-    return null;
+    return doc;
   }
 
-  async getAll() {
+  /**
+   * Gets all documents of this collection's type, optionally only those that
+   * also have `all` or `any` of the given `types` (e.g., all
+   * `VerifiableCredential` documents that are also `OpenBadgeCredential`).
+   * Documents are found using the `content.type` index; with `match: 'all'`,
+   * the index is queried for each type, the documents are fetched for the
+   * first type and only those found for every other type are kept, so the
+   * most specific type should be first.
+   *
+   * @param {object} options - The options to use.
+   * @param {string|Array<string>} [options.types] - The types to match.
+   * @param {string} [options.match='any'] - Set to `all` to only get
+   *   documents that have every type in `types`.
+   * @param {boolean} [options.includeDeleted=false] - Set to `true` to also
+   *   get documents in the trash.
+   *
+   * @returns {Promise<Array<object>>} The documents.
+   */
+  async getAll({types, match = 'any', includeDeleted = false} = {}) {
+    if(types === undefined) {
+      if(!this.type) {
+        throw new TypeError('"type" or "types" must be given.');
+      }
+      types = [this.type];
+    } else if(!Array.isArray(types)) {
+      types = [types];
+    }
+    if(!(types.length > 0 &&
+      types.every(type => type && typeof type === 'string'))) {
+      throw new TypeError(
+        '"types" must be a non-empty string or array of strings.');
+    }
+    if(!MATCH_MODES.includes(match)) {
+      throw new TypeError(`"match" must be one of: ${MATCH_MODES.join(', ')}.`);
+    }
     const {type} = this;
-    return this._findDocuments({type});
+    let documents = await this._read({
+      remote: async () => {
+        const documents = await this._findDocuments({types, match});
+        await this._storeDocuments(documents);
+        return documents.filter(
+          ({content}) => !type || _hasType({content, type}));
+      },
+      local: async () => {
+        const documents = await this._getLocalDocuments({includeDeleted});
+        return documents.filter(
+          ({content}) => _hasTypes({content, types, match}));
+      }
+    });
+    if(!includeDeleted) {
+      documents = documents.filter(doc => !_isTrashed(doc));
+    }
+    return documents.sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
   }
 
-  async update({id, item, meta, mutator, retry = true} = {}) {
+  /**
+   * Lists a page of the documents of this collection's type. Pages are
+   * ordered by EDV document ID, so documents created while paging are
+   * included in a later page if their ID sorts after the cursor. Each call
+   * finds the IDs of the documents again; use `iterate` to get many pages.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} [options.limit=100] - The maximum number of documents in
+   *   the page.
+   * @param {string} [options.cursor] - The opaque `cursor` returned with the
+   *   previous page; omit to get the first page.
+   * @param {boolean} [options.includeDeleted=false] - Set to `true` to also
+   *   list documents in the trash; otherwise pages may have fewer than
+   *   `limit` documents.
+   *
+   * @returns {Promise<object>} An object with the page's `documents`,
+   *   `hasMore`, and the `cursor` for the next page (`null` if there are no
+   *   more pages).
+   */
+  async list({
+    limit = DEFAULT_PAGE_SIZE, cursor, includeDeleted = false
+  } = {}) {
+    if(!(Number.isSafeInteger(limit) && limit >= 1 && limit <= 1000)) {
+      throw new TypeError('"limit" must be an integer >= 1 and <= 1000.');
+    }
+    if(cursor !== undefined && !(cursor && typeof cursor === 'string')) {
+      throw new TypeError('"cursor" must be a non-empty string.');
+    }
+    if(!this.type) {
+      throw new TypeError('"type" must be given to list documents.');
+    }
+    return this._list({limit, cursor, includeDeleted, state: {}});
+  }
+
+  /**
+   * Iterates over the documents of this collection's type, fetching them
+   * page by page. The IDs of the documents are found once, when iteration
+   * starts, so documents created while iterating are not included.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} [options.limit=100] - The page size.
+   * @param {boolean} [options.includeDeleted=false] - Set to `true` to also
+   *   iterate over documents in the trash.
+   *
+   * @yields {object} The documents of this collection's type.
+   */
+  async* iterate({limit = DEFAULT_PAGE_SIZE, includeDeleted = false} = {}) {
+    // validate options before the first page is requested
+    if(!(Number.isSafeInteger(limit) && limit >= 1 && limit <= 1000)) {
+      throw new TypeError('"limit" must be an integer >= 1 and <= 1000.');
+    }
+    if(!this.type) {
+      throw new TypeError('"type" must be given to list documents.');
+    }
+    // the found document IDs are kept in `state` for every page
+    const state = {};
+    let cursor;
+    do {
+      let documents;
+      ({documents, cursor} = await this._list(
+        {limit, cursor, includeDeleted, state}));
+      yield* documents;
+    } while(cursor);
+  }
+
+  async _list({limit, cursor, includeDeleted, state}) {
+    return this._read({
+      remote: () => this._listRemote({limit, cursor, includeDeleted, state}),
+      local: async () => {
+        const documents = await this._getLocalDocuments({includeDeleted});
+        const start = cursor === undefined ? 0 :
+          _sortedIndexAfter(documents.map(({id}) => id), cursor);
+        const page = documents.slice(start, start + limit);
+        const hasMore = start + page.length < documents.length;
+        return {
+          documents: page,
+          hasMore,
+          cursor: hasMore ? page.at(-1).id : null
+        };
+      }
+    });
+  }
+
+  /**
+   * Finds documents of this collection's type by their content attributes.
+   * Attribute names are relative to the document content (e.g., `issuer` or
+   * `credentialSubject.id`) and are indexed automatically. Documents are only
+   * indexed by an attribute when they are written by a collection that has
+   * that index, so attributes to query should also be passed as `indexes`
+   * when getting the collection.
+   *
+   * @param {object} options - The options to use.
+   * @param {object|Array<object>} [options.equals] - An object with
+   *   attribute-value pairs that must all match or an array of such objects,
+   *   any of which must match.
+   * @param {string|Array<string>} [options.has] - An attribute, or an array
+   *   of attributes, that documents must have; cannot be combined with
+   *   `equals`.
+   * @param {number} [options.limit] - The maximum number of documents to
+   *   return.
+   * @param {boolean} [options.count=false] - Set to `true` to return only
+   *   the number of matching documents.
+   * @param {boolean} [options.includeDeleted=false] - Set to `true` to also
+   *   find documents in the trash. Documents in the trash are excluded after
+   *   they are fetched, so in soft-delete mode, `limit` and `count` are
+   *   applied after fetching every matching document.
+   *
+   * @returns {Promise<object>} An object with the matching `documents` and
+   *   `hasMore` or, if `count` is set, the `count` of matching documents.
+   */
+  async find({equals, has, limit, count = false, includeDeleted = false} = {}) {
+    if(!(equals || has)) {
+      throw new TypeError('"equals" or "has" must be given.');
+    }
+    if(equals && has) {
+      throw new TypeError('Only one of "equals" or "has" may be given.');
+    }
+    if(limit !== undefined &&
+      !(Number.isSafeInteger(limit) && limit >= 1 && limit <= 1000)) {
+      throw new TypeError('"limit" must be an integer >= 1 and <= 1000.');
+    }
+    // normalize the query first so invalid queries are not mistaken for
+    // network errors
+    if(equals) {
+      if(!Array.isArray(equals)) {
+        equals = [equals];
+      }
+      equals = equals.map(equal => {
+        if(!(equal && typeof equal === 'object')) {
+          throw new TypeError(
+            '"equals" must be an object or an array of objects.');
+        }
+        return Object.fromEntries(Object.entries(equal).map(
+          ([attribute, value]) => [_getContentAttribute(attribute), value]));
+      });
+    } else {
+      if(!Array.isArray(has)) {
+        has = [has];
+      }
+      has = has.map(_getContentAttribute);
+    }
+    return this._read({
+      remote: () => this._findRemote(
+        {equals, has, limit, count, includeDeleted}),
+      local: async () => {
+        let documents = (await this._getLocalDocuments(
+          {includeDeleted})).filter(doc => {
+          if(equals) {
+            return equals.some(equal => Object.entries(equal).every(
+              ([attribute, value]) => _matches(
+                _getAttribute(doc, attribute), value)));
+          }
+          return has.every(
+            attribute => _getAttribute(doc, attribute) !== undefined);
+        });
+        if(count) {
+          return {count: documents.length};
+        }
+        const hasMore = limit !== undefined && documents.length > limit;
+        if(hasMore) {
+          documents = documents.slice(0, limit);
+        }
+        return {documents, hasMore};
+      }
+    });
+  }
+
+  /**
+   * Updates a document of this collection's type. An update conflicts if the
+   * document was changed since it was read; conflicts are handled using the
+   * given `conflictStrategy`:
+   *
+   * - `fail`: throw the `InvalidStateError` (the default without `mutator`).
+   * - `last-writer-wins`: write the update over the latest version.
+   * - `retry`: call `mutator` again with the latest version (the default
+   *   with `mutator`).
+   * - `merge`: call `merge` with the version the update was based on
+   *   (`base`), the update (`local`), and the latest version (`remote`); it
+   *   returns the merged document, of which `content` and `meta` are
+   *   written, or nothing to keep the latest version.
+   *
+   * Conflicts are retried with exponential backoff, starting at
+   * `retryDelay` and doubling up to `maxRetryDelay`, until `maxAttempts`
+   * writes have been attempted; the last `InvalidStateError` is then thrown.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} [options.id] - The ID of the item; defaults to `item.id`.
+   * @param {object} [options.item] - The new content of the document.
+   * @param {object} [options.meta] - The new meta of the document.
+   * @param {Blob|ReadableStream} [options.stream] - A new attachment to
+   *   replace the document's attachment with; see `create`.
+   * @param {number} [options.chunkSize] - The size of the attachment's
+   *   chunks in bytes.
+   * @param {Function} [options.mutator] - A function that is called with
+   *   `{item, meta, existing}` and returns the updated document or nothing
+   *   to skip the update.
+   * @param {boolean} [options.retry=true] - Set to `false` to use the `fail`
+   *   strategy.
+   * @param {string} [options.conflictStrategy] - The conflict strategy.
+   * @param {Function} [options.merge] - The three-way merge function for the
+   *   `merge` strategy.
+   * @param {number} [options.maxAttempts=10] - The maximum number of writes
+   *   to attempt.
+   * @param {number} [options.retryDelay=50] - The delay in milliseconds
+   *   before the first retry.
+   * @param {number} [options.maxRetryDelay=5000] - The maximum delay in
+   *   milliseconds between retries.
+   *
+   * @returns {Promise<object>} The updated document.
+   */
+  async update(options = {}) {
+    return this._update(options);
+  }
+
+  // `replaying` is set when replaying a queued update, which is written to
+  // the EDV directly and whose event was emitted when it was queued
+  async _update({
+    id, item, meta, stream, chunkSize, mutator, retry = true,
+    conflictStrategy, merge, maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryDelay = DEFAULT_RETRY_DELAY, maxRetryDelay = DEFAULT_MAX_RETRY_DELAY
+  } = {}, {replaying = false} = {}) {
     if(id) {
       if(typeof id !== 'string') {
         throw new TypeError('"id" must be a string.');
@@ -63,37 +426,110 @@ export default class Collection {
     if(mutator && typeof mutator !== 'function') {
       throw new TypeError('"mutator" must be a function.');
     }
+    if(conflictStrategy === undefined) {
+      conflictStrategy = retry && mutator ? 'retry' : 'fail';
+    }
+    if(!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+      throw new TypeError('"conflictStrategy" must be one of: ' +
+        `${CONFLICT_STRATEGIES.join(', ')}.`);
+    }
+    if(conflictStrategy === 'retry' && !mutator) {
+      throw new TypeError(
+        '"mutator" is required for the "retry" conflict strategy.');
+    }
+    if(conflictStrategy === 'merge' && typeof merge !== 'function') {
+      throw new TypeError(
+        '"merge" must be a function for the "merge" conflict strategy.');
+    }
+    if(!(Number.isSafeInteger(maxAttempts) && maxAttempts >= 1)) {
+      throw new TypeError('"maxAttempts" must be a positive integer.');
+    }
+    _assertStream(stream);
 
     const {edvClient} = this;
 
-    while(true) {
+    let existing = await this._get({id, includeDeleted: true, replaying});
+    let updatedDoc;
+    if(mutator) {
+      updatedDoc = await mutator({item, meta, existing});
+      if(!updatedDoc) {
+        // nothing to update, return existing doc
+        return existing;
+      }
+    } else {
+      updatedDoc = {...existing};
+      updatedDoc.content = item;
+      if(meta) {
+        updatedDoc.meta = meta;
+      }
+    }
+
+    for(let attempt = 1; ; ++attempt) {
       try {
-        const existing = await this.get({id});
-        let updatedDoc;
-        if(mutator) {
-          updatedDoc = await mutator({item, meta, existing});
-          if(!updatedDoc) {
-            // nothing to update, return existing doc
-            return existing;
-          }
-        } else {
-          updatedDoc = {...existing};
-          updatedDoc.content = item;
-          if(meta) {
-            updatedDoc.meta = meta;
-          }
+        this._validate(updatedDoc.content);
+        const doc = this._stampSchemaVersion({doc: updatedDoc, existing});
+        const document = await this._write({
+          op: 'update', doc, queueable: !stream, replaying,
+          // a `Blob` is read again on each attempt
+          write: () => edvClient.update(
+            {doc, stream: _toReadableStream(stream), chunkSize})
+        });
+        if(!replaying) {
+          this._emit(
+            _getUpdateEvent({previous: existing, document}), {document});
         }
-        return await edvClient.update({doc: updatedDoc});
+        return document;
       } catch(e) {
-        if(retry && mutator && e.name === 'InvalidStateError') {
-          // loop to try again due to concurrent conflict
-          continue;
+        if(e.name !== 'InvalidStateError' || conflictStrategy === 'fail' ||
+          attempt >= maxAttempts) {
+          throw e;
         }
-        throw e;
       }
+
+      // resolve concurrent conflict and try again
+      await _sleep(Math.min(maxRetryDelay, retryDelay * 2 ** (attempt - 1)));
+      const remote = await this._get({id, includeDeleted: true, replaying});
+      if(conflictStrategy === 'retry') {
+        existing = remote;
+        updatedDoc = await mutator({item, meta, existing});
+        if(!updatedDoc) {
+          return existing;
+        }
+        continue;
+      }
+      if(!remote) {
+        const error = new Error(`Document "${id}" not found.`);
+        error.name = 'NotFoundError';
+        throw error;
+      }
+      let resolved = updatedDoc;
+      if(conflictStrategy === 'merge') {
+        resolved = await merge({base: existing, local: updatedDoc, remote});
+        if(!resolved) {
+          return remote;
+        }
+      }
+      updatedDoc = {...remote, content: resolved.content};
+      if(resolved.meta !== undefined) {
+        updatedDoc.meta = resolved.meta;
+      }
+      existing = remote;
     }
   }
 
+  /**
+   * Removes a document of this collection's type. In soft-delete mode (see
+   * the `softDelete` option), the document is moved to the trash instead by
+   * setting its `meta.deletedAt`; documents in the trash are excluded from
+   * reads by default and can be restored with `restore` until they are
+   * deleted with `purge`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the item.
+   *
+   * @returns {Promise<boolean>} `true` if the document was removed, `false`
+   *   if it was not found.
+   */
   async remove({id} = {}) {
     if(typeof id !== 'string') {
       throw new TypeError('"id" must be a string.');
@@ -102,32 +538,889 @@ export default class Collection {
     if(!existing) {
       return false;
     }
-    const {edvClient} = this;
-    return edvClient.delete({doc: existing});
+    if(this.softDelete) {
+      const document = await this.update({
+        id,
+        mutator: ({existing}) => existing && !_isTrashed(existing) ? {
+          ...existing,
+          meta: {...existing.meta, deletedAt: new Date().toISOString()}
+        } : undefined
+      });
+      return !!document;
+    }
+    const removed = await this._delete({doc: existing});
+    this._emit('removed', {document: existing});
+    return removed;
+  }
+
+  /**
+   * Restores a document from the trash; see `remove`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the item.
+   *
+   * @returns {Promise<object>} The restored document or `null` if not found.
+   */
+  async restore({id} = {}) {
+    if(typeof id !== 'string') {
+      throw new TypeError('"id" must be a string.');
+    }
+    return this.update({
+      id,
+      mutator({existing}) {
+        if(!(existing && _isTrashed(existing))) {
+          return;
+        }
+        const meta = {...existing.meta};
+        delete meta.deletedAt;
+        return {...existing, meta};
+      }
+    });
+  }
+
+  /**
+   * Permanently deletes the documents in the trash; see `remove`.
+   *
+   * @param {object} options - The options to use.
+   * @param {Date|string|number} [options.olderThan] - Only delete documents
+   *   moved to the trash before this time; omit to delete every document in
+   *   the trash.
+   *
+   * @returns {Promise<object>} An object with the number of `purged`
+   *   documents.
+   */
+  async purge({olderThan} = {}) {
+    if(olderThan !== undefined) {
+      olderThan = new Date(olderThan);
+      if(isNaN(olderThan)) {
+        throw new TypeError('"olderThan" must be a valid date.');
+      }
+    }
+    const trashed = [];
+    for await (const doc of this.iterate({includeDeleted: true})) {
+      if(_isTrashed(doc) && !(olderThan &&
+        new Date(doc.meta.deletedAt) >= olderThan)) {
+        trashed.push(doc);
+      }
+    }
+    let purged = 0;
+    for(const doc of trashed) {
+      // `removed` events were emitted when documents were moved to the trash
+      await this._delete({doc});
+      purged++;
+    }
+    return {purged};
+  }
+
+  /**
+   * Gets a stream to read the attachment stored with a document.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the item.
+   *
+   * @returns {Promise<ReadableStream>} A stream of the attachment's bytes.
+   */
+  async getStream({id} = {}) {
+    const doc = await this.get({id});
+    if(!doc) {
+      const error = new Error(`Document "${id}" not found.`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    if(!(doc.stream && doc.stream.chunks !== undefined)) {
+      const error = new Error(`Document "${id}" has no attachment.`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    return this.edvClient.getStream({doc});
+  }
+
+  /**
+   * Replays the writes queued in the local store while offline, in order.
+   * Creates are written as-is, updates are applied to the latest version of
+   * each document, retrying on sequence conflicts, and removes remove the
+   * latest version. Writes are also replayed automatically before the next
+   * operation once the connection returns, e.g., call `sync` from an
+   * `online` event handler to replay them sooner. A `syncFailed` event is
+   * emitted for each write that fails and is dropped, whether it was
+   * replayed by `sync` or automatically.
+   *
+   * @returns {Promise<object>} An object with the number of `synced` writes,
+   *   the number of writes still `pending` (if the connection was lost
+   *   again), and the `errors` of the writes that failed and were dropped,
+   *   each with the write's `op`, document `id`, and `error`.
+   */
+  async sync() {
+    if(!this.localStore) {
+      throw new TypeError('"localStore" must be given to sync.');
+    }
+    if(!this._syncing) {
+      this._syncing = this._replay().finally(() => {
+        this._syncing = null;
+      });
+    }
+    return this._syncing;
+  }
+
+  /**
+   * Adds a handler that is called with `{event, document}` after a document
+   * of this collection's type is created, updated, or removed. Collections
+   * returned by `ProfileManager.getCollection` for the same profile EDV share
+   * events, so a handler is also called for writes made through other
+   * instances. `syncFailed` handlers are called with
+   * `{event, document, op, error}` when a queued write fails to be replayed
+   * and is dropped (see `sync`). If a handler throws or rejects, the `error`
+   * handlers are called with `{event, data, error}`, where `data` is the
+   * data the failed handler was called with.
+   *
+   * @param {string} event - The event: `created`, `updated`, `removed`,
+   *   `syncFailed`, or `error`.
+   * @param {Function} handler - The handler to call.
+   *
+   * @returns {Function} A function that removes the handler.
+   */
+  on(event, handler) {
+    if(!EVENTS.includes(event)) {
+      throw new TypeError(`"event" must be one of: ${EVENTS.join(', ')}.`);
+    }
+    if(typeof handler !== 'function') {
+      throw new TypeError('"handler" must be a function.');
+    }
+    this.off(event, handler);
+    const {type} = this;
+    const wrapped = data => {
+      const {document} = event === 'error' ? data.data : data;
+      if(!type || _hasType({content: document.content, type})) {
+        return handler(data);
+      }
+    };
+    this._handlers.get(event).set(handler, wrapped);
+    this.emitter.on(event, wrapped);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Removes a handler added with `on`.
+   *
+   * @param {string} event - The event.
+   * @param {Function} handler - The handler to remove.
+   */
+  off(event, handler) {
+    const handlers = this._handlers.get(event);
+    const wrapped = handlers && handlers.get(handler);
+    if(wrapped) {
+      handlers.delete(handler);
+      this.emitter.off(event, wrapped);
+    }
+  }
+
+  /**
+   * Creates many documents, writing at most `concurrency` of them at once.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.items - The items to create.
+   * @param {number} [options.concurrency=5] - The maximum number of items to
+   *   write at once.
+   * @param {boolean} [options.rollback=false] - Set to `true` to stop writing
+   *   items once one fails and to remove the documents already created.
+   *
+   * @returns {Promise<Array<object>>} A result for each item, in order, with
+   *   the created `document` or the `error` that occurred; see `_writeMany`.
+   */
+  async createMany({items, concurrency, rollback} = {}) {
+    return this._writeMany({
+      entries: items,
+      concurrency,
+      rollback,
+      write: async item => ({document: await this.create({item})}),
+      undo: ({document}) => this.remove({id: document.content.id})
+    });
+  }
+
+  /**
+   * Updates many documents, writing at most `concurrency` of them at once.
+   * Each item replaces the content of the document with the same `id`.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.items - The items to update.
+   * @param {number} [options.concurrency=5] - The maximum number of items to
+   *   write at once.
+   * @param {boolean} [options.rollback=false] - Set to `true` to stop writing
+   *   items once one fails and to restore the documents already updated.
+   *
+   * @returns {Promise<Array<object>>} A result for each item, in order, with
+   *   the updated `document` or the `error` that occurred; see `_writeMany`.
+   */
+  async updateMany({items, concurrency, rollback} = {}) {
+    return this._writeMany({
+      entries: items,
+      concurrency,
+      rollback,
+      write: async item => {
+        let previous;
+        const document = await this.update({
+          item,
+          async mutator({existing}) {
+            if(!existing) {
+              const error = new Error(`Document "${item.id}" not found.`);
+              error.name = 'NotFoundError';
+              throw error;
+            }
+            previous = existing;
+            return {...existing, content: item};
+          }
+        });
+        return {document, previous};
+      },
+      undo: ({previous}) => this.update({
+        id: previous.content.id,
+        mutator: ({existing}) => existing &&
+          {...existing, content: previous.content, meta: previous.meta}
+      })
+    });
+  }
+
+  /**
+   * Removes many documents, removing at most `concurrency` of them at once.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<string>} options.ids - The IDs of the items to remove.
+   * @param {number} [options.concurrency=5] - The maximum number of items to
+   *   remove at once.
+   * @param {boolean} [options.rollback=false] - Set to `true` to stop
+   *   removing items once one fails and to restore the documents already
+   *   removed.
+   *
+   * @returns {Promise<Array<object>>} A result for each ID, in order, with
+   *   whether the document was `removed` or the `error` that occurred; see
+   *   `_writeMany`.
+   */
+  async removeMany({ids, concurrency, rollback} = {}) {
+    const {edvClient, softDelete} = this;
+    return this._writeMany({
+      entries: ids,
+      concurrency,
+      rollback,
+      write: async id => {
+        const previous = await this.get({id});
+        if(!previous) {
+          return {removed: false};
+        }
+        if(softDelete) {
+          return {removed: await this.remove({id}), previous};
+        }
+        await this._write({
+          op: 'remove', doc: previous,
+          write: () => edvClient.delete({doc: previous})
+        });
+        this._emit('removed', {document: previous});
+        return {removed: true, previous};
+      },
+      undo: async ({removed, previous}) => {
+        if(removed && softDelete) {
+          await this.restore({id: previous.content.id});
+        } else if(removed) {
+          // the deleted document's sequence was incremented
+          const doc = {...previous, sequence: previous.sequence + 1};
+          const restored = await this._write(
+            {op: 'create', doc, write: () => edvClient.update({doc})});
+          this._emit('created', {document: restored});
+        }
+      }
+    });
+  }
+
+  /**
+   * Upgrades every document of this collection's type that has an older
+   * `meta.schemaVersion` than the latest registered migration and writes it
+   * back. Documents returned by `get`, `getAll`, `list`, and `find` are
+   * upgraded without being written.
+   *
+   * @returns {Promise<object>} An object with the number of `migrated`
+   *   documents.
+   */
+  async migrateAll() {
+    let migrated = 0;
+    if(this._migrations.length === 0) {
+      return {migrated};
+    }
+    const collection = this;
+    for await (const doc of this.iterate()) {
+      if(!this._migrated.has(doc)) {
+        continue;
+      }
+      let written = false;
+      await this.update({
+        id: doc.content.id,
+        async mutator({existing}) {
+          // skip documents migrated concurrently
+          written = collection._migrated.has(existing);
+          return written ? existing : undefined;
+        }
+      });
+      if(written) {
+        migrated++;
+      }
+    }
+    return {migrated};
+  }
+
+  // writes `entries` with bounded concurrency; each result has the value
+  // returned by `write` or an `error`; if `rollback` is set and an entry
+  // fails, no more entries are written, those not written get an
+  // `AbortError`, and `undo` is called for each written entry, setting
+  // `rolledBack` or `rollbackError` on its result
+  async _writeMany({
+    entries, concurrency = DEFAULT_BULK_CONCURRENCY, rollback = false,
+    write, undo
+  }) {
+    if(!Array.isArray(entries)) {
+      throw new TypeError('"items" or "ids" must be an array.');
+    }
+    if(!(Number.isSafeInteger(concurrency) && concurrency >= 1)) {
+      throw new TypeError('"concurrency" must be a positive integer.');
+    }
+
+    const results = new Array(entries.length);
+    let failed = false;
+    let next = 0;
+    const worker = async () => {
+      while(next < entries.length && !(rollback && failed)) {
+        const i = next++;
+        try {
+          results[i] = await write(entries[i]);
+        } catch(error) {
+          results[i] = {error};
+          failed = true;
+        }
+      }
+    };
+    await Promise.all(Array.from(
+      {length: Math.min(concurrency, entries.length)}, worker));
+
+    for(let i = 0; i < results.length; ++i) {
+      if(!results[i]) {
+        const error = new Error('Not written because another item failed.');
+        error.name = 'AbortError';
+        results[i] = {error};
+      }
+    }
+    if(rollback && failed) {
+      for(const result of results) {
+        if(result.error) {
+          continue;
+        }
+        try {
+          await undo(result);
+          result.rolledBack = true;
+        } catch(e) {
+          result.rollbackError = e;
+        }
+      }
+    }
+    for(const result of results) {
+      delete result.previous;
+    }
+    return results;
+  }
+
+  async _findRemote({equals, has, limit, count, includeDeleted}) {
+    const {edvClient, type} = this;
+
+    let documents;
+    if(equals) {
+      if(type) {
+        this._ensureIndex('content.type');
+      }
+      const query = equals.map(equal => {
+        for(const attribute of Object.keys(equal)) {
+          this._ensureIndex(attribute);
+        }
+        return type ? {'content.type': type, ...equal} : equal;
+      });
+      if(includeDeleted || !this.softDelete) {
+        const result = await edvClient.find({equals: query, limit, count});
+        if(count) {
+          return {count: result.count};
+        }
+        let documents = await this._migrateAll(result.documents);
+        await this._storeDocuments(documents);
+        if(!includeDeleted) {
+          documents = documents.filter(doc => !_isTrashed(doc));
+        }
+        return {documents, hasMore: !!result.hasMore};
+      }
+      // documents in the trash cannot be excluded by an EDV query, so
+      // `limit` and `count` are applied here
+      ({documents} = await edvClient.find({equals: query}));
+    } else {
+      // an EDV query cannot combine `has` with `equals`, so documents of
+      // other types are filtered out here
+      for(const attribute of has) {
+        this._ensureIndex(attribute);
+      }
+      ({documents} = await edvClient.find({has}));
+      if(type) {
+        documents = documents.filter(
+          ({content}) => _hasType({content, type}));
+      }
+    }
+    if(!includeDeleted) {
+      documents = documents.filter(doc => !_isTrashed(doc));
+    }
+    if(count) {
+      return {count: documents.length};
+    }
+    const hasMore = limit !== undefined && documents.length > limit;
+    if(hasMore) {
+      documents = documents.slice(0, limit);
+    }
+    documents = await this._migrateAll(documents);
+    await this._storeDocuments(documents);
+    return {documents, hasMore};
   }
 
-  async _findDocuments({id, type, equals, has, limit}) {
-    if(!(id || type || equals || has)) {
-      throw new TypeError('"id", "type", "equals", or "has" must be given.');
+  async _listRemote({limit, cursor, includeDeleted, state}) {
+    if(!state.found) {
+      state.found = await this._findDocumentIds();
     }
-    if(!equals) {
-      equals = [];
+    const {ids, documents} = state.found;
+    const start = cursor === undefined ? 0 : _sortedIndexAfter(ids, cursor);
+    const pageIds = ids.slice(start, start + limit);
+    const hasMore = start + pageIds.length < ids.length;
+    const page = await Promise.all(pageIds.map(async id => {
+      if(documents) {
+        // the server returned full documents when the IDs were found
+        return documents.get(id);
+      }
+      try {
+        return await this.edvClient.get({id});
+      } catch(e) {
+        // document removed since its ID was found
+        if(e.name === 'NotFoundError') {
+          return null;
+        }
+        throw e;
+      }
+    }));
+    const migrated = await this._migrateAll(
+      page.filter(doc => doc && !(doc.meta && doc.meta.deleted)));
+    await this._storeDocuments(migrated);
+    return {
+      documents: includeDeleted ?
+        migrated : migrated.filter(doc => !_isTrashed(doc)),
+      hasMore,
+      cursor: hasMore ? pageIds.at(-1) : null
+    };
+  }
+
+  // the schema version of the content this collection writes
+  _schemaVersion() {
+    const {_migrations: migrations} = this;
+    return migrations.length > 0 ? migrations.at(-1).version : 0;
+  }
+
+  // keeps the `meta.schemaVersion` of a document being written or, if it was
+  // dropped (e.g., by replacing `meta`), uses that of the existing document
+  _stampSchemaVersion({doc, existing}) {
+    const meta = {...doc.meta};
+    if(meta.schemaVersion === undefined) {
+      const {schemaVersion = this._schemaVersion()} =
+        (existing && existing.meta) || {};
+      meta.schemaVersion = schemaVersion;
+    }
+    return {...doc, meta};
+  }
+
+  async _migrateAll(documents) {
+    return Promise.all(documents.map(doc => this._migrate(doc)));
+  }
+
+  async _migrate(doc) {
+    const {_migrations: migrations, type} = this;
+    if(migrations.length === 0 || !_hasType({content: doc.content, type})) {
+      return doc;
+    }
+    const {schemaVersion = 0} = doc.meta || {};
+    const pending = migrations.filter(({version}) => version > schemaVersion);
+    if(pending.length === 0) {
+      return doc;
+    }
+    let {content} = doc;
+    const meta = {...doc.meta};
+    for(const {version, migrate} of pending) {
+      content = await migrate({content, meta});
+      meta.schemaVersion = version;
+    }
+    const migrated = {...doc, content, meta};
+    this._migrated.add(migrated);
+    return migrated;
+  }
+
+  _emit(event, {document, ...data}) {
+    this.emitter.emit(event, {event, document, ...data});
+  }
+
+  // reads from the EDV, falling back to the local store when offline or
+  // when writes are queued (so reads reflect them); reads to replay queued
+  // writes always read from the EDV
+  async _read({remote, local, replaying = false}) {
+    if(!this.localStore || replaying) {
+      return remote();
+    }
+    if(await this._shouldQueue()) {
+      return local();
+    }
+    try {
+      return await remote();
+    } catch(e) {
+      if(!_isNetworkError(e)) {
+        throw e;
+      }
+      return local();
+    }
+  }
+
+  // writes to the EDV, queueing the write in the local store when offline
+  // or when other writes are queued (so writes are replayed in order);
+  // writes that are not `queueable` (i.e., with attachments) fail instead;
+  // replayed writes are never queued again
+  async _write({op, doc, write, queueable = true, replaying = false}) {
+    const queue = this.localStore && !replaying;
+    if(queue && await this._shouldQueue()) {
+      if(!queueable) {
+        throw _createOfflineError();
+      }
+      return this._enqueue({op, doc});
+    }
+    let result;
+    try {
+      result = await write();
+    } catch(e) {
+      if(!(queue && _isNetworkError(e))) {
+        throw e;
+      }
+      if(!queueable) {
+        throw _createOfflineError(e);
+      }
+      return this._enqueue({op, doc});
+    }
+    if(op === 'remove') {
+      await this._unstoreDocument({id: doc.content.id});
     } else {
-      equals = equals.slice();
+      await this._storeDocuments([result]);
     }
-    if(id) {
-      equals.push({'content.id': id});
+    return result;
+  }
+
+  async _shouldQueue() {
+    if(await this._getPendingCount() > 0 && !_isOffline()) {
+      await this.sync();
+    }
+    return this._pending > 0 || _isOffline();
+  }
+
+  async _getPendingCount() {
+    if(this._pending === null) {
+      // count entries without decrypting them
+      const entries = await this.localStore.store.list({prefix: 'queue/'});
+      this._pending = entries.length;
+    }
+    return this._pending;
+  }
+
+  async _enqueue({op, doc}) {
+    const pending = await this._getPendingCount();
+    const time = String(Date.now()).padStart(16, '0');
+    const counter = String(this._queued++).padStart(8, '0');
+    await this.localStore.put(
+      {key: `queue/${time}-${counter}`, value: {op, doc}});
+    this._pending = pending + 1;
+    if(op === 'remove') {
+      await this._unstoreDocument({id: doc.content.id});
+      return true;
     }
-    if(type) {
-      if(Array.isArray(type)) {
-        const query = type.map(type => ({'content.type': type}));
-        equals.push(...query);
-      } else {
-        equals.push({'content.type': type});
+    await this._storeDocuments([doc]);
+    return doc;
+  }
+
+  async _replay() {
+    const {localStore} = this;
+    // `sync` may be called before the queued writes were counted
+    await this._getPendingCount();
+    const entries = await localStore.list({prefix: 'queue/'});
+    let synced = 0;
+    const errors = [];
+    // other operations wait for the replay to finish (see `_shouldQueue`),
+    // so their writes are not written before the queued ones
+    for(const {key, value: {op, doc}} of entries) {
+      const {id} = doc.content;
+      try {
+        await this._replayWrite({op, doc});
+        synced++;
+      } catch(error) {
+        if(_isNetworkError(error)) {
+          // still offline, keep this and later writes queued
+          break;
+        }
+        errors.push({op, id, error});
+        // drop the local copy so the next read gets the EDV's version
+        await this._unstoreDocument({id});
+        // writes are also replayed without a caller to return `errors` to
+        this._emit('syncFailed', {document: doc, op, error});
       }
+      await localStore.delete({key});
+      this._pending = Math.max(0, this._pending - 1);
+    }
+    return {synced, pending: this._pending, errors};
+  }
+
+  async _replayWrite({op, doc}) {
+    const {id} = doc.content;
+    if(op === 'create') {
+      try {
+        const document = await this.edvClient.update({doc});
+        await this._storeDocuments([document]);
+      } catch(e) {
+        // already written before the connection was lost
+        if(e.name !== 'DuplicateError') {
+          throw e;
+        }
+      }
+      return;
+    }
+    if(op === 'update') {
+      // apply the queued change to the latest version of the document
+      await this._update({
+        id,
+        mutator: ({existing}) => existing &&
+          {...existing, content: doc.content, meta: doc.meta}
+      }, {replaying: true});
+      return;
+    }
+    const existing = await this._get(
+      {id, includeDeleted: true, replaying: true});
+    if(existing) {
+      await this._delete({doc: existing, replaying: true});
+    }
+  }
+
+  // deletes a document from the EDV, leaving a tombstone; the EDV client has
+  // no API to delete chunks, so the chunks of its attachment are orphaned
+  async _delete({doc, replaying = false}) {
+    const {edvClient} = this;
+    return this._write({
+      op: 'remove', doc, replaying,
+      write: () => edvClient.delete({doc})
+    });
+  }
+
+  async _getLocalDocuments({includeDeleted = false} = {}) {
+    const {type} = this;
+    const entries = await this.localStore.list({prefix: 'doc/'});
+    return entries.map(({value}) => value)
+      .filter(({content}) => !type || _hasType({content, type}))
+      .filter(doc => includeDeleted || !_isTrashed(doc))
+      .sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+  }
+
+  async _storeDocuments(documents) {
+    const {localStore} = this;
+    if(!localStore) {
+      return;
+    }
+    await Promise.all(documents
+      .filter(({content}) => content && content.id !== undefined)
+      .map(doc => localStore.put({key: `doc/${doc.content.id}`, value: doc})));
+  }
+
+  async _unstoreDocument({id}) {
+    if(this.localStore) {
+      await this.localStore.delete({key: `doc/${id}`});
     }
+  }
+
+  _validate(item) {
+    const {schema, schemas} = this;
+    if(schema || schemas) {
+      validateItem({item, schema, schemas});
+    }
+  }
+
+  _ensureIndex(attribute) {
+    // do not replace an existing index, e.g., a unique `content.id` index
     const {edvClient} = this;
-    const {documents} = await edvClient.find({equals, has, limit});
-    return documents;
+    if(edvClient.indexHelper && edvClient.indexHelper.indexes.has(attribute)) {
+      return;
+    }
+    edvClient.ensureIndex({attribute});
+  }
+
+  async _findDocumentIds() {
+    // only request document IDs; servers that do not support this return
+    // full documents, which are then used as-is
+    const {edvClient, type} = this;
+    if(!type) {
+      throw new TypeError('"type" must be given to list documents.');
+    }
+    const {documentIds, documents} = await edvClient.find({
+      equals: [{'content.type': type}],
+      returnDocuments: false
+    });
+    if(documentIds) {
+      return {ids: documentIds.slice().sort(), documents: null};
+    }
+    return {
+      ids: documents.map(({id}) => id).sort(),
+      documents: new Map(documents.map(doc => [doc.id, doc]))
+    };
+  }
+
+  // finds documents by `content.id` and/or by `types`, which documents must
+  // have `all` or `any` of; an EDV query cannot match more than one value of
+  // an attribute, so with `all`, the `content.type` index is queried once per
+  // type and only the documents found for every type are kept
+  async _findDocuments({id, types, match = 'any', limit}) {
+    if(!(id || types)) {
+      throw new TypeError('"id" or "types" must be given.');
+    }
+    const base = id ? {'content.id': id} : {};
+    const {edvClient} = this;
+    if(!types) {
+      const {documents} = await edvClient.find({equals: [base], limit});
+      return this._migrateAll(documents);
+    }
+    this._ensureIndex('content.type');
+    if(!(match === 'all' && types.length > 1)) {
+      const {documents} = await edvClient.find({
+        equals: types.map(type => ({...base, 'content.type': type})),
+        limit
+      });
+      return this._migrateAll(documents);
+    }
+    const [{documents}, ...others] = await Promise.all(
+      types.map((type, i) => edvClient.find({
+        equals: [{...base, 'content.type': type}],
+        returnDocuments: i === 0
+      })));
+    const idSets = others.map(({documentIds, documents}) => new Set(
+      documentIds || documents.map(({id}) => id)));
+    let found = documents.filter(({id}) => idSets.every(ids => ids.has(id)));
+    if(limit !== undefined) {
+      found = found.slice(0, limit);
+    }
+    return this._migrateAll(found);
+  }
+}
+
+function _getContentAttribute(attribute) {
+  if(!(attribute && typeof attribute === 'string')) {
+    throw new TypeError('Attribute names must be non-empty strings.');
+  }
+  return attribute.startsWith('content.') ? attribute : `content.${attribute}`;
+}
+
+function _getAttribute(doc, attribute) {
+  return attribute.split('.').reduce(
+    (value, key) => value === undefined || value === null ?
+      undefined : value[key], doc);
+}
+
+function _matches(actual, expected) {
+  if(Array.isArray(actual)) {
+    return actual.includes(expected);
   }
+  return actual === expected;
+}
+
+function _assertStream(stream) {
+  if(stream !== undefined && !(stream &&
+    (typeof stream.getReader === 'function' ||
+    typeof stream.stream === 'function'))) {
+    throw new TypeError('"stream" must be a Blob or a ReadableStream.');
+  }
+}
+
+function _toReadableStream(stream) {
+  if(stream && typeof stream.getReader !== 'function') {
+    // a `Blob`
+    return stream.stream();
+  }
+  return stream;
+}
+
+function _createOfflineError(cause) {
+  const error = new Error('Attachments cannot be written while offline.');
+  error.name = 'NotSupportedError';
+  if(cause) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+function _isOffline() {
+  return !!globalThis.navigator && globalThis.navigator.onLine === false;
+}
+
+function _isNetworkError(e) {
+  // `@digitalbazaar/http-client` sets `requestUrl` on the errors of requests
+  // it sent; those without a response never reached the server
+  return !!e.requestUrl && !e.response && e.status === undefined &&
+    NETWORK_ERRORS.includes(e.name);
+}
+
+function _hasTypes({content, types, match}) {
+  const matches = type => _hasType({content, type});
+  return match === 'all' ? types.every(matches) : types.some(matches);
+}
+
+function _isTrashed(doc) {
+  return !!(doc.meta && doc.meta.deletedAt);
+}
+
+// moving a document to or from the trash is a removal or a creation
+function _getUpdateEvent({previous, document}) {
+  if(previous && _isTrashed(previous) !== _isTrashed(document)) {
+    return _isTrashed(document) ? 'removed' : 'created';
+  }
+  return 'updated';
+}
+
+function _hasType({content, type}) {
+  return content.type === type ||
+    (Array.isArray(content.type) && content.type.includes(type));
+}
+
+function _sortedIndexAfter(ids, id) {
+  let low = 0;
+  let high = ids.length;
+  while(low < high) {
+    const mid = (low + high) >>> 1;
+    if(ids[mid] <= id) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+async function _sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function _getMigrations({migrations, type}) {
+  if(!Object.hasOwn(migrations, type)) {
+    return [];
+  }
+  return Object.entries(migrations[type]).map(([version, migrate]) => {
+    version = Number(version);
+    if(!(Number.isSafeInteger(version) && version >= 1)) {
+      throw new TypeError('Migration versions must be positive integers.');
+    }
+    if(typeof migrate !== 'function') {
+      throw new TypeError(`Migration ${version} must be a function.`);
+    }
+    return {version, migrate};
+  }).sort((a, b) => a.version - b.version);
 }
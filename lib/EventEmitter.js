@@ -0,0 +1,87 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+export class EventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  /**
+   * Adds a handler for an event.
+   *
+   * @param {string} event - The name of the event.
+   * @param {Function} handler - The handler to call with the event data.
+   *
+   * @returns {Function} A function that removes the handler.
+   */
+  on(event, handler) {
+    if(typeof handler !== 'function') {
+      throw new TypeError('"handler" must be a function.');
+    }
+    let handlers = this._listeners.get(event);
+    if(!handlers) {
+      handlers = new Set();
+      this._listeners.set(event, handlers);
+    }
+    handlers.add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Removes a handler for an event.
+   *
+   * @param {string} event - The name of the event.
+   * @param {Function} handler - The handler to remove.
+   */
+  off(event, handler) {
+    const handlers = this._listeners.get(event);
+    if(handlers) {
+      handlers.delete(handler);
+      if(handlers.size === 0) {
+        this._listeners.delete(event);
+      }
+    }
+  }
+
+  /**
+   * Calls every handler for an event. A handler that throws or rejects does
+   * not prevent other handlers from being called nor does it cause `emit` to
+   * throw; its error is reported to the `error` handlers instead with
+   * `{event, data, error}`. Errors thrown by `error` handlers are ignored.
+   *
+   * @param {string} event - The name of the event.
+   * @param {object} data - The event data.
+   */
+  emit(event, data) {
+    const handlers = this._listeners.get(event);
+    if(!handlers) {
+      return;
+    }
+    const reportError = error => this._reportError({event, data, error});
+    for(const handler of [...handlers]) {
+      try {
+        const result = handler(data);
+        if(result && typeof result.catch === 'function') {
+          result.catch(reportError);
+        }
+      } catch(e) {
+        reportError(e);
+      }
+    }
+  }
+
+  /**
+   * Removes every handler.
+   */
+  clear() {
+    this._listeners.clear();
+  }
+
+  _reportError({event, data, error}) {
+    // do not report errors from `error` handlers to avoid loops
+    if(event !== 'error') {
+      this.emit('error', {event, data, error});
+    }
+  }
+}
@@ -0,0 +1,12 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+export class FileStore {
+  constructor() {
+    const error = new Error(
+      'FileStore is not supported in browsers; use IndexedDbStore instead.');
+    error.name = 'NotSupportedError';
+    throw error;
+  }
+}
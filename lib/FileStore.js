@@ -0,0 +1,98 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {readFile, rename, writeFile} from 'node:fs/promises';
+
+export class FileStore {
+  /**
+   * Creates a local store that persists its entries to a JSON file. Values
+   * are written to the file as given; collections wrap their local store in
+   * an `EncryptedStore`, which encrypts values with the store's key, and
+   * other callers must do the same to keep values encrypted at rest.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.path - The path of the file.
+   * @param {CryptoKey} options.key - The AES-GCM key returned by `getKey`
+   *   to encrypt values with; it must be kept outside of the file.
+   *
+   * @returns {FileStore} - The new instance.
+   */
+  constructor({path, key} = {}) {
+    if(!(path && typeof path === 'string')) {
+      throw new TypeError('"path" must be a non-empty string.');
+    }
+    if(!key) {
+      throw new TypeError('"key" must be an AES-GCM CryptoKey.');
+    }
+    this.path = path;
+    this._key = key;
+    this._entries = null;
+    // serializes writes to the file
+    this._writing = Promise.resolve();
+  }
+
+  async get({key}) {
+    const entries = await this._load();
+    return entries.get(key);
+  }
+
+  async put({key, value}) {
+    const entries = await this._load();
+    entries.set(key, value);
+    await this._save();
+  }
+
+  async delete({key}) {
+    const entries = await this._load();
+    if(entries.delete(key)) {
+      await this._save();
+    }
+  }
+
+  async list({prefix = ''} = {}) {
+    const entries = await this._load();
+    return [...entries]
+      .filter(([key]) => key.startsWith(prefix))
+      .sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0)
+      .map(([key, value]) => ({key, value}));
+  }
+
+  async getKey() {
+    return this._key;
+  }
+
+  async _load() {
+    if(!this._entries) {
+      this._entries = (async () => {
+        try {
+          const data = JSON.parse(await readFile(this.path, 'utf8'));
+          return new Map(Object.entries(data));
+        } catch(e) {
+          if(e.code !== 'ENOENT') {
+            throw e;
+          }
+          return new Map();
+        }
+      })();
+      // load the file again on the next call if loading it failed
+      this._entries.catch(() => {
+        this._entries = null;
+      });
+    }
+    return this._entries;
+  }
+
+  async _save() {
+    const entries = await this._load();
+    const write = this._writing.then(async () => {
+      // write to a temporary file first so the file is never left partial
+      const tmp = `${this.path}.tmp`;
+      await writeFile(tmp, JSON.stringify(Object.fromEntries(entries)));
+      await rename(tmp, this.path);
+    });
+    // a failed write only fails the operation that made it; later writes
+    // still write every entry
+    this._writing = write.catch(() => {});
+    return write;
+  }
+}
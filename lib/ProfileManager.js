@@ -7,15 +7,20 @@ import {
   CapabilityAgent,
   Hmac,
   KeyAgreementKey,
-  KeystoreAgent
+  KeystoreAgent,
+  KmsClient
 } from '@digitalbazaar/webkms-client';
+import {decryptArchive, encryptArchive} from './archive.js';
+import {DEFAULT_ROLES, parseEdvReferenceId} from './roles.js';
 import {EdvClient, EdvDocument} from '@digitalbazaar/edv-client';
 import {AccessManager} from './AccessManager.js';
 import assert from './assert.js';
+import {Cache} from './Cache.js';
 import Collection from './Collection.js';
 import crypto from './crypto.js';
+import {EventEmitter} from './EventEmitter.js';
+import {getDidMethod} from './didMethods.js';
 import keyResolver from './keyResolver.js';
-import LRU from 'lru-cache';
 import {ProfileService} from '@bedrock/web-profile';
 
 const ZCAP_REFERENCE_IDS = {
@@ -24,12 +29,105 @@ const ZCAP_REFERENCE_IDS = {
   userKak: 'user-edv-kak',
   userHmac: 'user-edv-hmac',
 };
+const PROFILE_KEY_REFERENCE_ID = 'profileCapabilityInvocationKey';
+const PROFILE_EDV_METER_REFERENCE_ID = 'profile:core:edv';
+// caches reported by `getCacheStats` even before they are used
+const CACHE_NAMES = [
+  'profiles',
+  'agent-records',
+  'profile-signers',
+  'agent-delegated-zcaps',
+  'capability-agents'
+];
+// caches whose entries are safe to persist to a `cacheStore`
+const PERSISTENT_CACHES = ['profile-agent-records'];
+// zcaps a profile agent needs to manage access to its profile
+const SELF_REQUIRED_REFERENCE_IDS = [
+  PROFILE_KEY_REFERENCE_ID,
+  ZCAP_REFERENCE_IDS.userDocs,
+  ZCAP_REFERENCE_IDS.userKak,
+  ZCAP_REFERENCE_IDS.userHmac
+];
 // 15 minutes
 const DEFAULT_ZCAP_GRACE_PERIOD = 15 * 60 * 1000;
 // 24 hours
 const DEFAULT_ZCAP_TTL = 24 * 60 * 60 * 1000;
 // 365 days
 const DEFAULT_PROFILE_AGENT_ZCAP_TTL = 365 * 24 * 60 * 60 * 1000;
+// 30 days
+const DEFAULT_ZCAP_REFRESH_THRESHOLD = 30 * 24 * 60 * 60 * 1000;
+// 24 hours
+const DEFAULT_ZCAP_REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
+const EVENTS = [
+  'accessAdded',
+  'cacheEvicted',
+  'cacheSet',
+  'edvCreated',
+  'error',
+  'profileCreated',
+  'refreshFailed',
+  'sessionChanged',
+  'zcapDelegated'
+];
+
+/**
+ * @typedef {object} ProfileCreatedEvent
+ * @property {string} profileId - The ID of the new profile.
+ * @property {Array<object>} meters - The meters of the new profile.
+ */
+
+/**
+ * @typedef {object} EdvCreatedEvent
+ * @property {string} profileId - The ID of the profile that controls the EDV.
+ * @property {string} edvId - The ID of the new EDV.
+ * @property {string} referenceId - The reference ID of the new EDV.
+ */
+
+/**
+ * @typedef {object} AccessAddedEvent
+ * @property {string} profileId - The ID of the profile.
+ * @property {string} profileAgentId - The ID of the profile agent that was
+ *   given access.
+ * @property {string} referenceId - The reference ID of the EDV.
+ * @property {object} user - The profile agent's updated `User` document.
+ */
+
+/**
+ * @typedef {object} RefreshFailedEvent
+ * @property {string} accountId - The ID of the account whose profile agent's
+ *   zcaps could not be refreshed.
+ * @property {string} [profileId] - The ID of the profile, if known.
+ * @property {Error} error - The error.
+ */
+
+/**
+ * @typedef {object} SessionChangedEvent
+ * @property {string|null} accountId - The ID of the session's account.
+ * @property {string|null} previousAccountId - The ID of the session's
+ *   previous account.
+ */
+
+/**
+ * @typedef {object} ZcapDelegatedEvent
+ * @property {string} profileAgentId - The ID of the profile agent that
+ *   delegated the zcap.
+ * @property {string} referenceId - The reference ID of the zcap.
+ * @property {object} zcap - The zcap delegated to the profile agent's
+ *   ephemeral capability agent.
+ */
+
+/**
+ * @typedef {object} HandlerErrorEvent
+ * @property {string} event - The event whose handler failed.
+ * @property {object} data - The data the handler was called with.
+ * @property {Error} error - The error the handler threw or rejected with.
+ */
+
+/**
+ * @typedef {object} CacheEvent
+ * @property {string} cacheName - The name of the cache.
+ * @property {string} key - The key of the entry.
+ */
 
 export class ProfileManager {
   /**
@@ -52,6 +150,21 @@ export class ProfileManager {
    * @param {number} [options.zcapTtl] - The time to live for a Zcap.
    * @param {ProfileService} [options.profileService] - A configurable
    *   ProfileService.
+   * @param {object} [options.roles] - The role name => role definition map
+   *   used to restrict the zcaps delegated to profile users; defaults to
+   *   `owner`, `admin`, `editor`, and `viewer` roles.
+   * @param {object} [options.caches] - A cache name => `{max, maxAge}` map
+   *   that limits the number of entries and the default age in milliseconds
+   *   of entries in each cache (e.g., `profiles` or `agent-delegated-zcaps`);
+   *   caches are unlimited by default. Evicting an ephemeral capability
+   *   agent (`capability-agents`) also removes the cached zcaps and signers
+   *   that use it.
+   * @param {object} [options.cacheStore] - A local store, e.g., a
+   *   `SessionStorageStore`, `IndexedDbStore`, or a custom store with the
+   *   same interface, to persist cached profile agent records (and so
+   *   profile IDs) to; they survive page reloads until they are invalidated
+   *   or the session's account logs out. Other cached data (e.g., zcaps and
+   *   ephemeral keys) is only kept in memory.
    *
    * @returns {ProfileManager} - The new instance.
    */
@@ -59,7 +172,10 @@ export class ProfileManager {
     edvBaseUrl,
     zcapGracePeriod = DEFAULT_ZCAP_GRACE_PERIOD,
     zcapTtl = DEFAULT_ZCAP_TTL,
-    profileService = new ProfileService()
+    profileService = new ProfileService(),
+    roles = DEFAULT_ROLES,
+    caches = {},
+    cacheStore
   } = {}) {
     if(typeof edvBaseUrl !== 'string') {
       throw new TypeError('"edvBaseUrl" must be a string.');
@@ -69,8 +185,20 @@ export class ProfileManager {
     this.accountId = null;
     this.edvBaseUrl = edvBaseUrl;
     this._cacheContainer = new Map();
+    this._cacheLimits = caches;
+    this._cacheStore = cacheStore;
+    this._emitter = new EventEmitter();
+    // collection event emitters shared per profile EDV
+    this._collectionEmitters = new Map();
     this.zcapGracePeriod = zcapGracePeriod;
     this.zcapTtl = zcapTtl;
+    this.roles = roles;
+    this._refreshTimer = null;
+    // this instance and its `asAccount` views that are refreshing zcaps in
+    // the background
+    this._refreshing = new Set();
+    // the instance an `asAccount` view was created from
+    this._parent = null;
   }
 
   /**
@@ -80,15 +208,17 @@ export class ProfileManager {
    *
    * @param {object} options - The options to use.
    * @param {string} [options.didMethod] - The DID method to use to create
-   *   the profile's identifier. (Supported: 'key' and 'v1'.).
+   *   the profile's identifier. (Supported: 'key', 'v1', and any DID method
+   *   added via `registerDidMethod`.).
    * @param {string} [options.didOptions] - Hashmap of optional DID method
    *   options.
    *
    * @returns {object} The profile with an "id" attribute.
    */
   async createProfile({didMethod = 'key', didOptions = {}} = {}) {
-    if(!['key', 'v1'].includes(didMethod)) {
-      throw new Error(`Unsupported DID method "${didMethod}".`);
+    const {createOptions} = getDidMethod(didMethod);
+    if(createOptions) {
+      didOptions = await createOptions({didOptions});
     }
     const {id, meters} = await this._profileService.create({
       account: this.accountId, didMethod, didOptions
@@ -96,9 +226,194 @@ export class ProfileManager {
     // clear profile agent records cache
     const cache = this._getCache('profile-agent-records');
     cache.del(this.accountId);
+    this._emitter.emit('profileCreated', {profileId: id, meters});
     return {id, meters};
   }
 
+  /**
+   * Accepts an invitation created by `AccessManager.createInvitation`. A new
+   * profile agent is created for the account associated with the
+   * authenticated session, the zcaps granted by the invitation are delegated
+   * to it, and the invitation is marked as consumed so that it cannot be
+   * used again. The token must be signed by the invitation's profile. If
+   * accepting the invitation fails, it is left pending so that it can be
+   * accepted again; once it succeeds, the zcaps that were only needed to
+   * accept it are revoked.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.token - The invitation token.
+   *
+   * @returns {Promise<object>} An object with the `profileId` of the profile
+   *   that was joined and the `user` document content of the new profile
+   *   agent.
+   */
+  async acceptInvitation({token} = {}) {
+    const {
+      id, documentId, profileId, secret, zcaps
+    } = await utils.verifyInvitationToken({token});
+    const capabilityAgent = await CapabilityAgent.fromSecret(
+      {secret: utils.base64UrlDecode(secret), handle: id});
+    const invocationSigner = capabilityAgent.getSigner();
+
+    // read the profile to get the indexes for the profile's users EDV
+    const userKak = await KeyAgreementKey.fromCapability(
+      {capability: zcaps[ZCAP_REFERENCE_IDS.userKak], invocationSigner});
+    const profileDocument = new EdvDocument({
+      capability: zcaps[ZCAP_REFERENCE_IDS.profileDoc],
+      keyAgreementKey: userKak,
+      invocationSigner
+    });
+    const {content: profile} = await profileDocument.read();
+    const edvClient = new EdvClient({
+      invocationSigner,
+      keyResolver,
+      keyAgreementKey: userKak,
+      hmac: await Hmac.fromCapability(
+        {capability: zcaps['invitation-edv-hmac'], invocationSigner})
+    });
+    for(const index of profile.accessManagement.indexes) {
+      edvClient.ensureIndex(index);
+    }
+    const invitationDocCapability = zcaps['invitation-document'];
+    const {userDocument: userDocCapability} = zcaps;
+
+    // claim invitation; a concurrent claim fails on the document's sequence
+    const claimed = await edvClient.get(
+      {id: documentId, capability: invitationDocCapability});
+    const {content: invitation} = claimed;
+    if(invitation.status !== 'pending' ||
+      new Date(invitation.expires) <= Date.now()) {
+      const error = new Error(
+        `Invitation "${id}" is ${invitation.status === 'pending' ?
+          'expired' : invitation.status}.`);
+      error.name = 'NotAllowedError';
+      throw error;
+    }
+    const consumed = await edvClient.update({
+      doc: {
+        ...claimed,
+        content: {
+          ...invitation,
+          status: 'consumed',
+          consumedDate: (new Date()).toISOString()
+        }
+      },
+      capability: invitationDocCapability
+    });
+
+    let profileAgentId;
+    let userDoc;
+    let user;
+    try {
+      // create a profile agent
+      const {profileAgent} = await this._profileService.createAgent(
+        {account: this.accountId, profile: profileId});
+      ({id: profileAgentId} = profileAgent);
+
+      // delegate the invitation's zcaps to the new profile agent
+      const referenceIds = Object.keys(zcaps)
+        .filter(referenceId => !referenceId.startsWith('invitation-'));
+      const delegated = await Promise.all(referenceIds.map(referenceId => {
+        const capability = zcaps[referenceId];
+        return utils.delegate({
+          signer: invocationSigner,
+          allowedAction: capability.allowedAction,
+          capability,
+          controller: profileAgentId,
+          invocationTarget: capability.invocationTarget,
+          expires: capability.expires
+        });
+      }));
+      const agentZcaps = {};
+      for(const [i, zcap] of delegated.entries()) {
+        agentZcaps[referenceIds[i]] = zcap;
+      }
+      const {
+        userDocument, [ZCAP_REFERENCE_IDS.userKak]: userKakZcap, ...userZcaps
+      } = agentZcaps;
+
+      // create user doc for profile agent using the ID the invitation's
+      // `userDocument` zcap refers to; it exists if an earlier attempt to
+      // accept the invitation was rolled back
+      user = {
+        id: profileAgentId,
+        type: ['User', 'Agent'],
+        role: invitation.role,
+        zcaps: userZcaps,
+        agentRecordZcaps: {
+          userDocument,
+          [ZCAP_REFERENCE_IDS.userKak]: userKakZcap
+        },
+        invitation: id,
+        authorizedDate: (new Date()).toISOString()
+      };
+      const doc = {id: invitation.userDocumentId, content: user};
+      const existing = await _getDocument(
+        {edvClient, id: doc.id, capability: userDocCapability});
+      if(existing) {
+        doc.sequence = existing.sequence;
+      }
+      userDoc = await edvClient.update({doc, capability: userDocCapability});
+
+      // store capabilities for accessing the profile agent's user document
+      // and the kak in the profileAgent record in the backend
+      await this._profileService.updateAgentCapabilitySet({
+        account: this.accountId,
+        profileAgentId,
+        zcaps: {
+          ...profileAgent.zcaps,
+          userDocument,
+          [ZCAP_REFERENCE_IDS.userKak]: userKakZcap
+        }
+      });
+
+      // record which profile agent consumed the invitation
+      await edvClient.update({
+        doc: {
+          ...consumed,
+          content: {...consumed.content, profileAgentId}
+        },
+        capability: invitationDocCapability
+      });
+    } catch(e) {
+      await this._rollbackInvitation({
+        edvClient, consumed, userDoc, profileAgentId,
+        capabilities: {invitationDocCapability, userDocCapability}
+      });
+      throw e;
+    }
+
+    // the zcaps used to accept the invitation are no longer needed; they
+    // expire with the invitation, so failing to revoke them is not fatal
+    const acceptZcaps = Object.fromEntries(Object.entries(zcaps)
+      .filter(([referenceId]) => referenceId.startsWith('invitation-')));
+    await this._revokeZcaps({profileId, zcaps: acceptZcaps, invocationSigner});
+
+    // clear profile agent records cache
+    this._getCache('profile-agent-records').del(this.accountId);
+    return {profileId, user};
+  }
+
+  // undoes a failed `acceptInvitation` so that the invitation can be accepted
+  // again; errors are ignored so that the original error is reported
+  async _rollbackInvitation({
+    edvClient, consumed, userDoc, profileAgentId,
+    capabilities: {invitationDocCapability, userDocCapability}
+  }) {
+    await Promise.allSettled([
+      profileAgentId && this._profileService.deleteAgent(
+        {id: profileAgentId, account: this.accountId}),
+      userDoc && edvClient.delete(
+        {doc: userDoc, capability: userDocCapability})
+    ]);
+    const content = {...consumed.content, status: 'pending'};
+    delete content.consumedDate;
+    await edvClient.update({
+      doc: {...consumed, content},
+      capability: invitationDocCapability
+    }).catch(() => {});
+  }
+
   /**
    * Gets the profile agent assigned to the account associated with the
    * authenticated session for the profile identified by the given profile ID.
@@ -167,6 +482,8 @@ export class ProfileManager {
       const maxAge = Math.max(
         expiryDate.getTime() - now - this.zcapGracePeriod, 0);
       cache.set(cacheKey, promise, maxAge);
+      this._emitter.emit(
+        'zcapDelegated', {profileAgentId: profileAgent.id, referenceId, zcap});
       return zcap;
     } catch(e) {
       cache.del(cacheKey);
@@ -362,8 +679,11 @@ export class ProfileManager {
     }
     const users = new Collection(
       {type: 'User', edvClient, capability, invocationSigner});
+    const invitations = new Collection({type: 'Invitation', edvClient});
     return {
-      accessManager: new AccessManager({profile, profileManager: this, users}),
+      accessManager: new AccessManager({
+        profile, profileManager: this, users, invitations, roles: this.roles
+      }),
       profile,
       profileAgent
     };
@@ -388,6 +708,11 @@ export class ProfileManager {
       profileAgentId = profileAgent.id;
     }
 
+    // restrict access based on the profile agent's role, if any
+    const {accessManager} = await this.getAccessManager({profileId});
+    const allowedActions = await accessManager.getAllowedEdvActions(
+      {id: profileAgentId, referenceId});
+
     // get EDV config
     const config = await EdvClient.findConfig({
       url: this.edvBaseUrl, controller: profileId,
@@ -401,10 +726,10 @@ export class ProfileManager {
       keyAgreementKey: config.keyAgreementKey,
       invocationSigner,
       profileAgentId,
-      referenceIdPrefix: referenceId
+      referenceIdPrefix: referenceId,
+      allowedActions
     });
-    const {accessManager} = await this.getAccessManager({profileId});
-    return accessManager.updateUser({
+    const user = await accessManager.updateUser({
       id: profileAgentId,
       async mutator({existing}) {
         const updatedDoc = {...existing};
@@ -415,6 +740,9 @@ export class ProfileManager {
         return updatedDoc;
       }
     });
+    this._emitter.emit(
+      'accessAdded', {profileId, profileAgentId, referenceId, user});
+    return user;
   }
 
   async createProfileEdv({
@@ -445,6 +773,8 @@ export class ProfileManager {
       keyAgreementKey,
       hmac
     });
+    this._emitter.emit(
+      'edvCreated', {profileId, edvId: config.id, referenceId});
 
     let user;
     if(addAccess) {
@@ -461,7 +791,8 @@ export class ProfileManager {
     parentCapabilities,
     invocationSigner,
     profileAgentId,
-    referenceIdPrefix
+    referenceIdPrefix,
+    allowedActions = ['read', 'write']
   }) {
     assert.parentCapabilitiesValidator({
       parentCapabilities, edvId, hmac, keyAgreementKey
@@ -472,7 +803,7 @@ export class ProfileManager {
 
     const delegateEdvDocumentsRequest = {
       referenceId: `${referenceIdPrefix}-edv-documents`,
-      allowedActions: ['read', 'write'],
+      allowedActions,
       controller: profileAgentId,
       expires
     };
@@ -546,15 +877,608 @@ export class ProfileManager {
     return utils.delegate({signer, ...request});
   }
 
+  /**
+   * Revokes a zcap that was delegated from one of the profile's root zcaps,
+   * i.e., a zcap for an EDV or a WebKMS key controlled by the profile. The
+   * revocation is sent to the revocation endpoint of the EDV or WebKMS
+   * keystore the zcap refers to using the profile's capability invocation
+   * key. Revoking a zcap that has already been revoked is not an error.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.profileId - The ID of the profile.
+   * @param {object} options.capability - The zcap to revoke.
+   * @param {object} [options.invocationSigner] - The signer to use to invoke
+   *   the revocation endpoint; defaults to the profile's signer.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async revokeCapability({profileId, capability, invocationSigner} = {}) {
+    assert.nonEmptyString(profileId, 'profileId');
+    if(!(capability && typeof capability === 'object')) {
+      throw new TypeError('"capability" must be an object.');
+    }
+    if(!invocationSigner) {
+      ({invocationSigner} = await this.getProfileSigner({profileId}));
+    }
+    const {invocationTarget} = capability;
+    try {
+      if(invocationTarget.includes('/edvs/')) {
+        const edvClient = new EdvClient({capability});
+        await edvClient.revokeCapability(
+          {capabilityToRevoke: capability, invocationSigner});
+      } else {
+        const kmsClient = new KmsClient();
+        await kmsClient.revokeCapability(
+          {capabilityToRevoke: capability, invocationSigner});
+      }
+    } catch(e) {
+      if(e.name === 'DuplicateError') {
+        // already revoked
+        return;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Revokes the zcaps held by a profile agent and removes them from its
+   * `User` document in the profile's users collection. Each revoked zcap is
+   * recorded in the `revocations` of the `User` document. Expired zcaps are
+   * removed without being revoked. When no `referenceIds` are given, the
+   * zcaps in the profile agent's record, which let it read its `User`
+   * document and decrypt the profile's users EDV, are revoked as well.
+   *
+   * The zcaps the caller's own profile agent needs to manage access cannot be
+   * revoked with this method; use `AccessManager.removeUser` with `allowSelf`
+   * to remove the caller's own profile agent instead.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.profileId - The ID of the profile.
+   * @param {string} options.profileAgentId - The ID of the profile agent.
+   * @param {Array<string>} [options.referenceIds] - The reference IDs of the
+   *   zcaps to revoke; defaults to all zcaps in the profile agent's `User`
+   *   document.
+   *
+   * @returns {Promise<object>} The updated user document content.
+   */
+  async revokeAgentAccess({profileId, profileAgentId, referenceIds} = {}) {
+    assert.nonEmptyString(profileId, 'profileId');
+    assert.nonEmptyString(profileAgentId, 'profileAgentId');
+
+    const [{accessManager}, agent] = await Promise.all([
+      this.getAccessManager({profileId}),
+      this.getAgent({profileId})
+    ]);
+    const user = await accessManager.getUser({id: profileAgentId});
+    let zcaps = {...user.zcaps};
+    // the zcaps in the profile agent's record are only revoked along with
+    // all of its other zcaps
+    let agentRecordZcaps = {...user.agentRecordZcaps};
+    if(referenceIds) {
+      zcaps = Object.fromEntries(Object.entries(zcaps)
+        .filter(([referenceId]) => referenceIds.includes(referenceId)));
+      agentRecordZcaps = {};
+    }
+    if(agent.id === profileAgentId) {
+      const required = [
+        ...Object.keys(zcaps), ...Object.keys(agentRecordZcaps)
+      ].filter(
+        referenceId => SELF_REQUIRED_REFERENCE_IDS.includes(referenceId));
+      if(required.length > 0) {
+        const error = new Error(
+          'The caller\'s own profile agent cannot revoke zcaps it needs to ' +
+          `manage access (${required.join(', ')}).`);
+        error.name = 'NotAllowedError';
+        throw error;
+      }
+    }
+
+    // the profile's capability invocation key may be among `zcaps` and must
+    // be revoked last, so revoke the agent record zcaps first
+    const agentRecordResult = await this._revokeZcaps(
+      {profileId, zcaps: agentRecordZcaps});
+    const {revocations, removed, errors} = await this._revokeZcaps(
+      {profileId, zcaps});
+    revocations.unshift(...agentRecordResult.revocations);
+    errors.unshift(...agentRecordResult.errors);
+
+    // record revoked zcaps and remove them from the user document
+    const updatedUser = await accessManager.updateUser({
+      id: profileAgentId,
+      async mutator({existing}) {
+        const content = {...existing.content};
+        content.zcaps = {...content.zcaps};
+        for(const referenceId of removed) {
+          delete content.zcaps[referenceId];
+        }
+        if(content.agentRecordZcaps) {
+          content.agentRecordZcaps = {...content.agentRecordZcaps};
+          for(const referenceId of agentRecordResult.removed) {
+            delete content.agentRecordZcaps[referenceId];
+          }
+        }
+        content.revocations = [...content.revocations || [], ...revocations];
+        return {...existing, content};
+      }
+    });
+    this._clearAgentCache({profileId, profileAgentId});
+
+    if(errors.length > 0) {
+      const error = new Error('Could not revoke all zcaps.');
+      error.name = 'AggregateError';
+      error.errors = errors;
+      throw error;
+    }
+    return updatedUser;
+  }
+
+  /**
+   * Removes a profile agent's access to a profile EDV by revoking the zcaps
+   * that were delegated to it by `addProfileEdvAccess`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.profileId - The ID of the profile.
+   * @param {string} options.profileAgentId - The ID of the profile agent.
+   * @param {string} options.referenceId - The reference ID of the EDV.
+   *
+   * @returns {Promise<object>} The updated user document content.
+   */
+  async removeProfileEdvAccess({profileId, profileAgentId, referenceId} = {}) {
+    assert.nonEmptyString(referenceId, 'referenceId');
+    return this.revokeAgentAccess({
+      profileId,
+      profileAgentId,
+      referenceIds: [
+        `${referenceId}-edv-documents`,
+        `${referenceId}-edv-hmac`,
+        `${referenceId}-edv-kak`
+      ]
+    });
+  }
+
+  /**
+   * Refreshes the long-lived zcaps held by the profile agent of the account
+   * associated with the authenticated session. Zcaps in the profile agent's
+   * `User` document and agent record that expire within `threshold` are
+   * re-delegated from their root zcaps with the same actions and targets and
+   * written back. Zcaps of a profile agent that accepted an invitation are
+   * delegated from the invitation's zcaps, whose secret is not stored, so
+   * their refreshed replacements are delegated from the root zcaps as well;
+   * removing the user (see `AccessManager.removeUser`) revokes them. The
+   * profile agent must be allowed to use the profile's capability invocation
+   * key.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.profileId - The ID of the profile.
+   * @param {number} [options.threshold] - Zcaps that expire within this many
+   *   milliseconds are refreshed; defaults to 30 days.
+   *
+   * @returns {Promise<object>} An object with the reference IDs of the
+   *   `refreshed` zcaps.
+   */
+  async refreshAgentCapabilities({
+    profileId, threshold = DEFAULT_ZCAP_REFRESH_THRESHOLD
+  } = {}) {
+    assert.nonEmptyString(profileId, 'profileId');
+
+    const [profileAgentRecord, agent] = await Promise.all([
+      this._getAgentRecord({profileId}),
+      this.getAgent({profileId})
+    ]);
+    const {profileAgent} = profileAgentRecord;
+    const cutoff = Date.now() + threshold;
+    const isExpiring = zcap => zcap.expires &&
+      new Date(zcap.expires).getTime() <= cutoff;
+    const expiring = Object.entries(agent.zcaps)
+      .filter(([, zcap]) => isExpiring(zcap));
+    if(expiring.length === 0) {
+      return {refreshed: []};
+    }
+
+    // re-delegate expiring zcaps from their root zcaps using the profile's
+    // signer
+    const expires = new Date(Date.now() + DEFAULT_PROFILE_AGENT_ZCAP_TTL);
+    const signer = await this._getRefreshSigner({profileId});
+    const redelegate = zcap => utils.delegate({
+      signer,
+      allowedAction: zcap.allowedAction,
+      capability: zcap.proof.capabilityChain[0],
+      controller: zcap.controller,
+      invocationTarget: zcap.invocationTarget,
+      expires
+    });
+    const delegated = await Promise.all(
+      expiring.map(([, zcap]) => redelegate(zcap)));
+    const refreshed = new Map();
+    for(const [i, [referenceId, zcap]] of expiring.entries()) {
+      refreshed.set(referenceId, {previous: zcap, zcap: delegated[i]});
+    }
+
+    // write back zcaps stored in the profile agent's user document
+    const replace = zcaps => {
+      const updated = {...zcaps};
+      let changed = false;
+      for(const [referenceId, {previous, zcap}] of refreshed) {
+        if(updated[referenceId] && updated[referenceId].id === previous.id) {
+          updated[referenceId] = zcap;
+          changed = true;
+        }
+      }
+      return changed ? updated : null;
+    };
+    const {userDocument} = profileAgent.zcaps;
+    if(userDocument) {
+      const {accessManager} = await this.getAccessManager({profileId});
+      await accessManager.updateUser({
+        id: profileAgent.id,
+        async mutator({existing}) {
+          const zcaps = replace(existing.content.zcaps);
+          const agentRecordZcaps = replace(
+            existing.content.agentRecordZcaps || {});
+          if(!(zcaps || agentRecordZcaps)) {
+            return;
+          }
+          const content = {...existing.content};
+          if(zcaps) {
+            content.zcaps = zcaps;
+          }
+          if(agentRecordZcaps) {
+            content.agentRecordZcaps = agentRecordZcaps;
+          }
+          return {...existing, content};
+        }
+      });
+    }
+
+    // write back zcaps stored in the profile agent record
+    const agentRecordZcaps = replace(profileAgent.zcaps);
+    if(agentRecordZcaps) {
+      await this._profileService.updateAgentCapabilitySet({
+        account: this.accountId,
+        profileAgentId: profileAgent.id,
+        zcaps: agentRecordZcaps
+      });
+    }
+
+    this._clearAgentCache({profileId, profileAgentId: profileAgent.id});
+    return {refreshed: [...refreshed.keys()]};
+  }
+
+  /**
+   * Starts refreshing the zcaps held by the profile agents of the account
+   * associated with the authenticated session in the background, calling
+   * `refreshAgentCapabilities` for every profile returned by
+   * `getProfileIds` at the given interval. Failures are reported to
+   * `onError`, including those for profiles whose profile agent is not
+   * allowed to refresh its capabilities. An interval is skipped if the
+   * previous refresh is still running.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} [options.interval] - The interval, in milliseconds, at
+   *   which to refresh zcaps; defaults to 24 hours.
+   * @param {number} [options.threshold] - See `refreshAgentCapabilities`.
+   * @param {Function} [options.onError] - Called with `{error, profileId}`
+   *   when refreshing fails; defaults to emitting a `refreshFailed` event.
+   *   Errors thrown by `onError` are emitted as `error` events.
+   */
+  startCapabilityRefresh({
+    interval = DEFAULT_ZCAP_REFRESH_INTERVAL, threshold,
+    onError = ({error, profileId}) => this._emitter.emit(
+      'refreshFailed', {accountId: this.accountId, profileId, error})
+  } = {}) {
+    if(this._refreshTimer) {
+      throw new Error('Capability refresh already started.');
+    }
+    const report = async ({error, profileId}) => {
+      try {
+        await onError({error, profileId});
+      } catch(e) {
+        // report errors from `onError` like errors from event handlers
+        this._emitter.emit('error', {
+          event: 'refreshFailed',
+          data: {accountId: this.accountId, profileId, error},
+          error: e
+        });
+      }
+    };
+    const refresh = async () => {
+      let profileIds;
+      try {
+        profileIds = await this.getProfileIds();
+      } catch(error) {
+        await report({error});
+        return;
+      }
+      for(const profileId of profileIds) {
+        try {
+          await this.refreshAgentCapabilities({profileId, threshold});
+        } catch(error) {
+          await report({error, profileId});
+        }
+      }
+    };
+    let refreshing = false;
+    const tick = () => {
+      // skip a tick while the previous refresh is still running
+      if(refreshing) {
+        return;
+      }
+      refreshing = true;
+      refresh()
+        .catch(error => report({error}))
+        .finally(() => {
+          refreshing = false;
+        });
+    };
+    this._refreshTimer = setInterval(tick, interval);
+    this._refreshing.add(this);
+    tick();
+  }
+
+  /**
+   * Stops refreshing zcaps in the background.
+   */
+  stopCapabilityRefresh() {
+    clearInterval(this._refreshTimer);
+    this._refreshTimer = null;
+    this._refreshing.delete(this);
+  }
+
+  /**
+   * Deletes a profile. Every user of the profile is removed, i.e., its zcaps
+   * are revoked and its profile agent is deleted, with the profile agent of
+   * the account associated with the authenticated session removed last. The
+   * profile's meters are then released so that its keystore and EDVs can be
+   * reclaimed by their services and all cached state for the profile is
+   * purged. The session's profile agent must be allowed to use the profile's
+   * capability invocation key.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.profileId - The ID of the profile to delete.
+   * @param {string} [options.documents='keep'] - What to do with the
+   *   documents in the profile's EDVs before deleting the profile: `keep`
+   *   them, `export` them, or `delete` them.
+   *
+   * @returns {Promise<object>} An object with the exported `documents` keyed
+   *   by the reference ID of their EDV when `documents` is `export`.
+   */
+  async deleteProfile({profileId, documents = 'keep'} = {}) {
+    assert.nonEmptyString(profileId, 'profileId');
+    if(!['keep', 'export', 'delete'].includes(documents)) {
+      throw new TypeError(
+        '"documents" must be one of "keep", "export", or "delete".');
+    }
+
+    let invocationSigner;
+    try {
+      ({invocationSigner} = await this.getProfileSigner({profileId}));
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+      const error = new Error(
+        'Profile agent is not allowed to delete the profile.');
+      error.name = 'NotAllowedError';
+      error.cause = e;
+      throw error;
+    }
+    const [{accessManager}, agent, meters] = await Promise.all([
+      this.getAccessManager({profileId}),
+      this.getAgent({profileId}),
+      this.getProfileMeters({profileId})
+    ]);
+    const users = await accessManager.getUsers();
+    // collect the IDs of the cached profile agents before removing the users
+    // clears their cached records
+    const profileAgentIds = await this._getCachedProfileAgentIds({profileId});
+
+    const result = {};
+    if(documents !== 'keep') {
+      const referenceIds = _getProfileEdvReferenceIds(
+        {users: [agent, ...users]});
+      const exported = {};
+      for(const referenceId of referenceIds) {
+        const {edvClient, documents: edvDocuments} =
+          await this._getProfileEdvDocuments({profileId, referenceId});
+        if(documents === 'export') {
+          exported[referenceId] = edvDocuments;
+          continue;
+        }
+        for(const doc of edvDocuments) {
+          await edvClient.delete({doc});
+        }
+      }
+      if(documents === 'export') {
+        result.documents = exported;
+      }
+    }
+
+    // remove every other user first; stop before the profile becomes
+    // unusable if any of them could not be removed so deletion can be retried
+    const errors = [];
+    for(const {id} of users) {
+      if(id === agent.id) {
+        continue;
+      }
+      try {
+        await accessManager.removeUser({id, allowLastKeyHolder: true});
+      } catch(e) {
+        errors.push(e);
+      }
+    }
+    if(errors.length > 0) {
+      const error = new Error('Could not remove all profile users.');
+      error.name = 'AggregateError';
+      error.errors = errors;
+      throw error;
+    }
+
+    await Promise.all(meters.map(async meter => {
+      try {
+        await utils.releaseMeter({meter, signer: invocationSigner});
+      } catch(e) {
+        // meter already released
+        if(e.status !== 404) {
+          throw e;
+        }
+      }
+    }));
+
+    await accessManager.removeUser(
+      {id: agent.id, allowSelf: true, allowLastKeyHolder: true});
+    this._purgeProfileCache({profileId, profileAgentIds});
+    return result;
+  }
+
+  /**
+   * Exports a profile as a single archive that is encrypted using a key
+   * derived from the given password. The archive contains the profile
+   * document, the profile's users, and the documents in every profile EDV
+   * that a user of the profile can access. The profile agent of the account
+   * associated with the authenticated session must be able to access these
+   * EDVs; access is added on demand if needed.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.profileId - The ID of the profile to export.
+   * @param {string} options.password - The password to encrypt the archive
+   *   with.
+   *
+   * @returns {Promise<object>} The encrypted archive.
+   */
+  async exportProfile({profileId, password} = {}) {
+    assert.nonEmptyString(profileId, 'profileId');
+    assert.nonEmptyString(password, 'password');
+
+    const [profile, {accessManager}, agent] = await Promise.all([
+      this.getProfile({id: profileId}),
+      this.getAccessManager({profileId}),
+      this.getAgent({profileId})
+    ]);
+    const users = await accessManager.getUsers();
+    const edvs = {};
+    const referenceIds = _getProfileEdvReferenceIds(
+      {users: [agent, ...users]});
+    for(const referenceId of referenceIds) {
+      const {documents} = await this._getProfileEdvDocuments(
+        {profileId, referenceId});
+      edvs[referenceId] = documents.map(
+        ({id, content, meta}) => ({id, content, meta}));
+    }
+    const archive = {
+      created: new Date().toISOString(),
+      profile,
+      users,
+      edvs
+    };
+    return encryptArchive({archive, password});
+  }
+
+  /**
+   * Imports an archive created by `exportProfile` into a profile. Every EDV
+   * in the archive is created for the profile using `createProfileEdv`,
+   * unless the profile already has an EDV with the same reference ID, and
+   * its documents are written to it, replacing any existing documents with
+   * the same IDs. The profile document and users in the archive are returned
+   * but not written as their zcaps only apply to the exported profile.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.profileId - The ID of the profile to import into.
+   * @param {object} options.archive - The encrypted archive.
+   * @param {string} options.password - The password the archive was
+   *   encrypted with.
+   * @param {string} [options.meterId] - The ID of the meter to use for the
+   *   created EDVs; defaults to the profile's EDV meter.
+   *
+   * @returns {Promise<object>} An object with the archived `profile` and
+   *   `users` and the number of `imported` documents keyed by the reference
+   *   ID of their EDV.
+   */
+  async importProfile({profileId, archive, password, meterId} = {}) {
+    assert.nonEmptyString(profileId, 'profileId');
+    assert.nonEmptyString(password, 'password');
+
+    const {profile, users, edvs} = await decryptArchive({archive, password});
+    if(!meterId) {
+      const meters = await this.getProfileMeters({profileId});
+      const meter = meters.find(
+        ({referenceId}) => referenceId === PROFILE_EDV_METER_REFERENCE_ID);
+      if(!meter) {
+        throw new Error(
+          `"meterId" must be given; profile "${profileId}" has no EDV meter.`);
+      }
+      meterId = meter.id;
+    }
+
+    const imported = {};
+    for(const [referenceId, documents] of Object.entries(edvs)) {
+      try {
+        await this.createProfileEdv({profileId, meterId, referenceId});
+      } catch(e) {
+        if(e.name !== 'DuplicateError') {
+          throw e;
+        }
+        // profile already has an EDV with this reference ID, import into it
+      }
+      const {edvClient} = await this.getProfileEdvAccess(
+        {profileId, referenceId});
+      for(const doc of documents) {
+        await _replayDocument({edvClient, doc});
+      }
+      imported[referenceId] = documents.length;
+    }
+    return {profile, users, imported};
+  }
+
+  /**
+   * Gets a collection of documents of the given type in a profile EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.profileId - The ID of the profile.
+   * @param {string} [options.referenceIdPrefix] - An alias for
+   *   `referenceId`.
+   * @param {string} [options.referenceId] - The reference ID of the EDV.
+   * @param {string} options.type - The type of the documents.
+   * @param {Array<string>} [options.indexes] - Content attributes to index
+   *   documents by when they are written so they can be queried using
+   *   `Collection.find`, e.g., `issuer` or `credentialSubject.id`.
+   * @param {object} [options.schema] - A JSON schema that items must match
+   *   before they are written.
+   * @param {object} [options.schemas] - A type => JSON schema map; items must
+   *   match the schema of each of their types before they are written.
+   * @param {object} [options.migrations] - A type => migrations map, where
+   *   each type's migrations map a version number to a function that takes
+   *   `{content, meta}` and returns the content upgraded to that version.
+   *   Documents store their version as `meta.schemaVersion` and are upgraded
+   *   when read; see `Collection.migrateAll`.
+   * @param {object} [options.localStore] - A local store, e.g., from
+   *   `createLocalStore`, to keep encrypted copies of documents in for
+   *   offline reads and to queue writes in while offline; see
+   *   `Collection.sync`.
+   * @param {boolean} [options.softDelete=false] - Set to `true` to move
+   *   removed documents to a trash instead of deleting them; see
+   *   `Collection.remove`.
+   *
+   * @returns {Promise<Collection>} The collection.
+   */
   async getCollection({
-    profileId, referenceIdPrefix, referenceId = referenceIdPrefix, type
+    profileId, referenceIdPrefix, referenceId = referenceIdPrefix, type,
+    indexes, schema, schemas, migrations, localStore, softDelete
   } = {}) {
     assert.nonEmptyString(profileId, 'profileId');
     const {edvClient} = await this.getProfileEdvAccess(
       {profileId, referenceId});
     edvClient.ensureIndex({attribute: 'content.id', unique: true});
     edvClient.ensureIndex({attribute: 'content.type'});
-    return new Collection({type, edvClient});
+    const emitterKey = `${profileId}-${referenceId}`;
+    let emitter = this._collectionEmitters.get(emitterKey);
+    if(!emitter) {
+      emitter = new EventEmitter();
+      this._collectionEmitters.set(emitterKey, emitter);
+    }
+    return new Collection({
+      type, edvClient, indexes, schema, schemas, migrations, emitter,
+      localStore, softDelete
+    });
   }
 
   // FIXME: remove exposure of this?
@@ -570,7 +1494,7 @@ export class ProfileManager {
   /**
    * Attaches this instance to the given session. This ProfileManager will
    * track changes to the given session, creating and/or caching account and
-   * profile edvs as needed.
+   * profile edvs as needed. Use `detachSession` to attach another session.
    *
    * @param {object} options - The options to use.
    * @param {object} options.session - A `bedrock-web-session` session instance.
@@ -578,6 +1502,7 @@ export class ProfileManager {
    * @returns {Promise} - Resolves once the operation completes.
    */
   async setSession({session}) {
+    this._assertNotView();
     if(this.session) {
       throw new Error('Already attached to a session.');
     }
@@ -588,17 +1513,231 @@ export class ProfileManager {
     await this._sessionChanged({newData: session.data});
   }
 
-  async _resetCache() {
+  /**
+   * Detaches this instance from its session, if any, so that another session
+   * can be attached using `setSession`. Background capability refresh is
+   * stopped (including that of `asAccount` views) and the in-memory caches,
+   * including the ephemeral capability agents and their signers, are
+   * cleared.
+   * Entries persisted to the `cacheStore` are kept; they are only cleared
+   * when an account logs out.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async detachSession() {
+    this._assertNotView();
+    if(!this.session) {
+      return;
+    }
+    this.removeListener();
+    this.removeListener = null;
+    this.session = null;
+    for(const manager of this._refreshing) {
+      manager.stopCapabilityRefresh();
+    }
+
+    const previousAccountId = this.accountId;
+    this.accountId = null;
+    await this._clearCache();
+    this._emitter.emit('sessionChanged', {accountId: null, previousAccountId});
+  }
+
+  /**
+   * Detaches this instance from its session (see `detachSession`) and
+   * removes every event handler, including those added to collections
+   * returned by `getCollection`.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async dispose() {
+    this._assertNotView();
+    await this.detachSession();
+    this._emitter.clear();
+    for(const emitter of this._collectionEmitters.values()) {
+      emitter.clear();
+    }
+    this._collectionEmitters.clear();
+  }
+
+  /**
+   * Gets a view of this instance that acts for the given account instead of
+   * the account associated with the session, e.g., for an admin console that
+   * manages profiles for several accounts. The view has the same methods as
+   * this instance (other than `setSession`, `detachSession`, and `dispose`)
+   * and shares its configuration, caches, and event handlers; cache entries
+   * are keyed by account or by profile agent, so they are not shared between
+   * accounts. Detaching or disposing this instance also clears the caches
+   * used by its views and stops their background capability refresh.
+   *
+   * @param {string} accountId - The ID of the account to act for.
+   *
+   * @returns {ProfileManager} The view.
+   */
+  asAccount(accountId) {
+    assert.nonEmptyString(accountId, 'accountId');
+    const parent = this._parent || this;
+    const view = Object.create(parent);
+    view.accountId = accountId;
+    view._parent = parent;
+    view._refreshTimer = null;
+    return view;
+  }
+
+  _assertNotView() {
+    if(this._parent) {
+      const error = new Error(
+        'A session cannot be attached to or detached from an account view.');
+      error.name = 'NotSupportedError';
+      throw error;
+    }
+  }
+
+  async _clearCache() {
+    // resetting the caches also drops the ephemeral capability agents and
+    // every cached entry that uses them
+    for(const cache of this._cacheContainer.values()) {
+      cache.reset();
+    }
     this._cacheContainer.clear();
   }
 
+  /**
+   * Removes cached entries, e.g., to stop `getProfile({useCache: true})`
+   * from returning stale data. If `profileId` is given, only the entries for
+   * that profile and its profile agent are removed; otherwise, every entry
+   * is removed. If `cacheName` is given, only entries in that cache (e.g.,
+   * `profiles` or `agent-delegated-zcaps`) are removed. Removing ephemeral
+   * capability agents (`capability-agents`) also removes the zcaps delegated
+   * to them and the profile signers that use them.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} [options.profileId] - The ID of the profile to remove
+   *   cached entries for.
+   * @param {string} [options.cacheName] - The name of the cache to remove
+   *   entries from.
+   *
+   * @returns {Promise} - Resolves once the operation completes.
+   */
+  async invalidate({profileId, cacheName} = {}) {
+    if(profileId !== undefined) {
+      assert.nonEmptyString(profileId, 'profileId');
+    }
+    if(cacheName !== undefined) {
+      assert.nonEmptyString(cacheName, 'cacheName');
+    }
+    const caches = cacheName ?
+      [this._getCache(cacheName)] : [...this._cacheContainer.values()];
+    // capability agents are removed along with the entries that use them;
+    // see `_disposeCapabilityAgent`
+    if(!profileId) {
+      await Promise.all(caches.map(cache => cache.clear()));
+      return;
+    }
+
+    // zcaps, signers, and capability agents are keyed by profile agent ID
+    const profileAgentIds = await this._getCachedProfileAgentIds({profileId});
+    for(const cache of caches) {
+      for(const key of cache.keys()) {
+        if(_isProfileCacheKey(
+          {cacheName: cache.name, key, profileId, profileAgentIds})) {
+          cache.del(key);
+        }
+      }
+    }
+    if(!cacheName || cacheName === 'profile-agent-records') {
+      // the account's profile agent records include the profile's record
+      this._getCache('profile-agent-records').del(this.accountId);
+    }
+  }
+
+  /**
+   * Gets the statistics for each cache since the session's account last
+   * changed: the number of cache `hits` and `misses` and the `size` and keys
+   * (`entries`) of the unexpired entries.
+   *
+   * @returns {object} A cache name => statistics map.
+   */
+  getCacheStats() {
+    const stats = {};
+    for(const name of CACHE_NAMES) {
+      stats[name] = {hits: 0, misses: 0, size: 0, entries: []};
+    }
+    // expired capability agents take the entries that use them along, so
+    // prune every cache before getting its stats
+    for(const cache of this._cacheContainer.values()) {
+      cache.prune();
+    }
+    for(const [name, cache] of this._cacheContainer) {
+      stats[name] = cache.getStats();
+    }
+    return stats;
+  }
+
+  /**
+   * Adds a handler for an event. The handler is called with:
+   *
+   * - `profileCreated`: a `ProfileCreatedEvent` after `createProfile`.
+   * - `edvCreated`: an `EdvCreatedEvent` after `createProfileEdv` creates an
+   *   EDV.
+   * - `accessAdded`: an `AccessAddedEvent` after `addProfileEdvAccess`.
+   * - `sessionChanged`: a `SessionChangedEvent` after the session changes.
+   * - `zcapDelegated`: a `ZcapDelegatedEvent` after a zcap is delegated to
+   *   an ephemeral capability agent (i.e., it was not cached).
+   * - `refreshFailed`: a `RefreshFailedEvent` when background capability
+   *   refresh fails and no `onError` was given to `startCapabilityRefresh`.
+   * - `cacheSet`: a `CacheEvent` after a cache entry is set.
+   * - `cacheEvicted`: a `CacheEvent` after a cache entry is removed because
+   *   it was invalidated, expired, or evicted to make room for others.
+   * - `error`: a `HandlerErrorEvent` when a handler for another event throws
+   *   or rejects.
+   *
+   * @param {string} event - The event.
+   * @param {Function} handler - The handler to call.
+   *
+   * @returns {Function} A function that removes the handler.
+   */
+  on(event, handler) {
+    if(!EVENTS.includes(event)) {
+      throw new TypeError(`"event" must be one of: ${EVENTS.join(', ')}.`);
+    }
+    return this._emitter.on(event, handler);
+  }
+
+  /**
+   * Removes a handler added with `on`.
+   *
+   * @param {string} event - The event.
+   * @param {Function} handler - The handler to remove.
+   */
+  off(event, handler) {
+    this._emitter.off(event, handler);
+  }
+
+  async _resetCache() {
+    await this._clearCache();
+    if(this._cacheStore) {
+      // reload persisted entries so they survive page reloads
+      await Promise.all(
+        PERSISTENT_CACHES.map(name => this._getCache(name).load()));
+    }
+  }
+
   async _sessionChanged({newData}) {
     const {account = {}} = newData;
     const {id: newAccountId = null} = account;
 
+    if(this.accountId && !newAccountId && this._cacheStore) {
+      // the account logged out, invalidate persisted entries
+      await Promise.all(
+        PERSISTENT_CACHES.map(name => this._getCache(name).clear()));
+    }
+
     // update state
+    const previousAccountId = this.accountId;
     this.accountId = newAccountId;
-    this._resetCache();
+    await this._resetCache();
+    this._emitter.emit(
+      'sessionChanged', {accountId: newAccountId, previousAccountId});
   }
 
   async _delegateAgentCapability({referenceId, profileAgent}) {
@@ -625,6 +1764,66 @@ export class ProfileManager {
     return zcap;
   }
 
+  // gets the profile's signer to refresh zcaps with; profile agents that may
+  // not use the profile's capability invocation key cannot refresh them
+  async _getRefreshSigner({profileId}) {
+    try {
+      const {invocationSigner} = await this.getProfileSigner({profileId});
+      return invocationSigner;
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+      const error = new Error(
+        'Profile agent is not allowed to refresh its capabilities.');
+      error.name = 'NotAllowedError';
+      error.cause = e;
+      throw error;
+    }
+  }
+
+  async _delegateAgentRecordZcaps({
+    edvId, profileAgentId, docId, edvParentCapability, keyAgreementKey,
+    invocationSigner
+  }) {
+    const expires = new Date(Date.now() + DEFAULT_PROFILE_AGENT_ZCAP_TTL);
+
+    // zcap for reading the profile agent's user document
+    const delegateUserDocRequest = {
+      referenceId: 'userDocument',
+      allowedActions: ['read'],
+      controller: profileAgentId,
+      invocationTarget: `${edvId}/documents/${docId}`,
+      capability: edvParentCapability,
+      expires
+    };
+
+    // zcap for decrypting documents in the user EDV
+    const kakId = keyAgreementKey.kmsId || keyAgreementKey.id;
+    const keystoreId = utils.parseKeystoreId(kakId);
+    const delegateUserKakRequest = {
+      referenceId: ZCAP_REFERENCE_IDS.userKak,
+      allowedActions: ['deriveSecret'],
+      controller: profileAgentId,
+      invocationTarget: kakId,
+      capability: `urn:zcap:root:${encodeURIComponent(keystoreId)}`,
+      expires
+    };
+
+    const requests = [delegateUserDocRequest, delegateUserKakRequest];
+    const delegated = await Promise.all(
+      requests.map(request => utils.delegate({
+        signer: invocationSigner,
+        ...request
+      })));
+    // build zcap referenceId => zcap map
+    const zcaps = {};
+    for(const [i, zcap] of delegated.entries()) {
+      zcaps[requests[i].referenceId] = zcap;
+    }
+    return zcaps;
+  }
+
   async _getEphemeralSigner({profileAgentId}) {
     const capabilityAgent = await this._getEphemeralCapabilityAgent(
       {profileAgentId});
@@ -726,17 +1925,164 @@ export class ProfileManager {
     return content;
   }
 
+  async _revokeZcaps({profileId, zcaps, invocationSigner}) {
+    if(!invocationSigner) {
+      ({invocationSigner} = await this.getProfileSigner({profileId}));
+    }
+    const now = new Date();
+    const revoke = async ([, capability]) => {
+      if(capability.expires && new Date(capability.expires) <= now) {
+        return false;
+      }
+      await this.revokeCapability({profileId, capability, invocationSigner});
+      return true;
+    };
+    // the profile's capability invocation key is used to send revocations,
+    // so any zcap for it must be revoked last
+    const entries = Object.entries(zcaps);
+    const keyIndex = entries.findIndex(
+      ([referenceId]) => referenceId === PROFILE_KEY_REFERENCE_ID);
+    if(keyIndex !== -1) {
+      entries.push(...entries.splice(keyIndex, 1));
+    }
+    const results = await Promise.allSettled(
+      entries.slice(0, keyIndex === -1 ? undefined : -1).map(revoke));
+    if(keyIndex !== -1) {
+      results.push(...await Promise.allSettled([revoke(entries.at(-1))]));
+    }
+
+    const revocations = [];
+    const removed = [];
+    const errors = [];
+    for(const [i, {status, value, reason}] of results.entries()) {
+      const [referenceId, capability] = entries[i];
+      if(status === 'rejected') {
+        errors.push(reason);
+        continue;
+      }
+      removed.push(referenceId);
+      if(value) {
+        revocations.push({
+          id: capability.id,
+          referenceId,
+          invocationTarget: capability.invocationTarget,
+          revokedDate: now.toISOString()
+        });
+      }
+    }
+    return {revocations, removed, errors};
+  }
+
+  _clearAgentCache({profileId, profileAgentId, isSelf = false}) {
+    // clear all cached zcaps delegated from the profile agent
+    const zcapCache = this._getCache('agent-delegated-zcaps');
+    for(const key of zcapCache.keys()) {
+      if(key.startsWith(`${profileAgentId}-`)) {
+        zcapCache.del(key);
+      }
+    }
+    this._getCache('profile-signers').del(`${profileId}-${profileAgentId}`);
+    this._getCache('capability-agents').del(profileAgentId);
+    if(isSelf) {
+      // the account no longer has a profile agent for the profile
+      this._getCache('agent-records').del(`${this.accountId}-${profileId}`);
+      this._getCache('profiles').del(`${this.accountId}-${profileId}`);
+      this._getCache('profile-agent-records').del(this.accountId);
+    }
+  }
+
+  // called when an ephemeral capability agent is removed from the cache for
+  // any reason (including expiry and eviction); the zcaps delegated to it
+  // and the profile signers that use it are removed too so that no cache
+  // keeps a reference to the agent or its signer
+  _disposeCapabilityAgent({profileAgentId}) {
+    const zcapCache = this._cacheContainer.get('agent-delegated-zcaps');
+    if(zcapCache) {
+      for(const key of zcapCache.keys()) {
+        if(key.startsWith(`${profileAgentId}-`)) {
+          zcapCache.del(key);
+        }
+      }
+    }
+    const signerCache = this._cacheContainer.get('profile-signers');
+    if(signerCache) {
+      for(const key of signerCache.keys()) {
+        if(key.endsWith(`-${profileAgentId}`)) {
+          signerCache.del(key);
+        }
+      }
+    }
+  }
+
+  _purgeProfileCache({profileId, profileAgentIds}) {
+    for(const cache of this._cacheContainer.values()) {
+      for(const key of cache.keys()) {
+        if(_isProfileCacheKey(
+          {cacheName: cache.name, key, profileId, profileAgentIds})) {
+          cache.del(key);
+        }
+      }
+    }
+    this._getCache('profile-agent-records').del(this.accountId);
+    for(const [key, emitter] of this._collectionEmitters) {
+      if(key.startsWith(`${profileId}-`)) {
+        emitter.clear();
+        this._collectionEmitters.delete(key);
+      }
+    }
+  }
+
+  async _getProfileEdvDocuments({profileId, referenceId}) {
+    const {edvClient} = await this.getProfileEdvAccess(
+      {profileId, referenceId});
+    edvClient.ensureIndex({attribute: 'content.id', unique: true});
+    const {documents} = await edvClient.find({has: 'content.id'});
+    return {edvClient, documents};
+  }
+
   _getCache(key) {
     const cache = this._cacheContainer.get(key);
     if(cache) {
       return cache;
     }
 
-    const newCache = new LRU();
+    const {max, maxAge} = this._cacheLimits[key] || {};
+    const store = PERSISTENT_CACHES.includes(key) ?
+      this._cacheStore : undefined;
+    const dispose = key === 'capability-agents' ?
+      ({key}) => this._disposeCapabilityAgent({profileAgentId: key}) :
+      undefined;
+    const newCache = new Cache(
+      {name: key, max, maxAge, store, emitter: this._emitter, dispose});
     this._cacheContainer.set(key, newCache);
     return newCache;
   }
 
+  async _getCachedProfileAgentIds({profileId}) {
+    const {accountId} = this;
+    const ids = new Set();
+    const results = await Promise.allSettled([
+      this._getCache('agent-records').peek(`${accountId}-${profileId}`),
+      this._getCache('profile-agent-records').peek(accountId)
+    ]);
+    const [{value: agentRecord}, {value: agentRecords = []}] = results;
+    if(agentRecord) {
+      ids.add(agentRecord.profileAgent.id);
+    }
+    for(const {profileAgent} of agentRecords) {
+      if(profileAgent.profile === profileId) {
+        ids.add(profileAgent.id);
+      }
+    }
+    // profile signers are keyed by profile ID and profile agent ID
+    for(const key of this._getCache('profile-signers').keys()) {
+      if(key.startsWith(`${profileId}-`)) {
+        ids.add(key.slice(profileId.length + 1));
+      }
+    }
+    return [...ids];
+  }
+
   async _getEphemeralCapabilityAgent({profileAgentId}) {
     assert.nonEmptyString(profileAgentId, 'profileAgentId');
 
@@ -926,8 +2272,72 @@ function _getKeystoreId({zcap}) {
   return utils.deriveKeystoreId(invocationTarget);
 }
 
+function _getProfileEdvReferenceIds({users}) {
+  const referenceIds = new Set();
+  for(const {zcaps = {}} of users) {
+    for(const zcapReferenceId of Object.keys(zcaps)) {
+      const referenceId = parseEdvReferenceId(zcapReferenceId);
+      if(referenceId) {
+        referenceIds.add(referenceId);
+      }
+    }
+  }
+  return [...referenceIds];
+}
+
+async function _replayDocument({edvClient, doc}) {
+  const {id, content, meta} = doc;
+  try {
+    await edvClient.update({doc: {id, content, meta}});
+  } catch(e) {
+    if(e.name !== 'DuplicateError') {
+      throw e;
+    }
+    const existing = await edvClient.get({id});
+    await edvClient.update({doc: {...existing, content, meta}});
+  }
+}
+
+// whether a cache key is for the given profile or one of its profile agents;
+// keys join IDs, which may themselves contain `-`, with `-`, so the ID is
+// matched as a whole segment at the position the cache's keys have it
+function _isProfileCacheKey({cacheName, key, profileId, profileAgentIds = []}) {
+  if(typeof key !== 'string') {
+    return false;
+  }
+  switch(cacheName) {
+    // `${accountId}-${profileId}`
+    case 'profiles':
+    case 'agent-records':
+      return key.endsWith(`-${profileId}`);
+    // `${profileId}-${profileAgentId}`
+    case 'profile-signers':
+      return key.startsWith(`${profileId}-`);
+    // `${profileAgentId}`
+    case 'capability-agents':
+      return profileAgentIds.includes(key);
+    // `${profileAgentId}-${referenceId}` and `${profileAgentId}-${sequence}`
+    case 'agent-delegated-zcaps':
+    case 'agent-content':
+      return profileAgentIds.some(id => key.startsWith(`${id}-`));
+    default:
+      return false;
+  }
+}
+
+async function _getDocument({edvClient, id, capability}) {
+  try {
+    return await edvClient.get({id, capability});
+  } catch(e) {
+    if(e.name === 'NotFoundError') {
+      return null;
+    }
+    throw e;
+  }
+}
+
 function _getProfileInvocationZcapKeyReferenceId() {
-  return 'profileCapabilityInvocationKey';
+  return PROFILE_KEY_REFERENCE_ID;
 }
 
 async function _createCapabilityAgent({handle}) {
@@ -0,0 +1,98 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {base64UrlDecode, base64UrlEncode} from './utils.js';
+import crypto from './crypto.js';
+
+const ARCHIVE_TYPE = 'EncryptedProfileArchive';
+const ARCHIVE_VERSION = 1;
+const PBKDF2_HASH = 'SHA-256';
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Encrypts a profile archive using a key derived from a password.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.archive - The archive to encrypt.
+ * @param {string} options.password - The password to derive the key from.
+ *
+ * @returns {Promise<object>} The encrypted archive.
+ */
+export async function encryptArchive({archive, password} = {}) {
+  if(!(archive && typeof archive === 'object')) {
+    throw new TypeError('"archive" must be an object.');
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await _deriveKey(
+    {password, salt, iterations: PBKDF2_ITERATIONS, usage: 'encrypt'});
+  const plaintext = new TextEncoder().encode(JSON.stringify(archive));
+  const ciphertext = await crypto.subtle.encrypt(
+    {name: 'AES-GCM', iv}, key, plaintext);
+  return {
+    type: ARCHIVE_TYPE,
+    version: ARCHIVE_VERSION,
+    kdf: {
+      name: 'PBKDF2',
+      hash: PBKDF2_HASH,
+      iterations: PBKDF2_ITERATIONS,
+      salt: base64UrlEncode(salt)
+    },
+    cipher: {
+      name: 'AES-GCM',
+      iv: base64UrlEncode(iv)
+    },
+    ciphertext: base64UrlEncode(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypts a profile archive created by `encryptArchive`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.archive - The encrypted archive.
+ * @param {string} options.password - The password the archive was encrypted
+ *   with.
+ *
+ * @returns {Promise<object>} The decrypted archive.
+ */
+export async function decryptArchive({archive, password} = {}) {
+  if(!(archive && typeof archive === 'object' &&
+    archive.type === ARCHIVE_TYPE)) {
+    throw new TypeError(`"archive" must be an "${ARCHIVE_TYPE}".`);
+  }
+  if(archive.version !== ARCHIVE_VERSION) {
+    const error = new Error(
+      `Unsupported profile archive version "${archive.version}".`);
+    error.name = 'NotSupportedError';
+    throw error;
+  }
+  const {kdf, cipher} = archive;
+  try {
+    const key = await _deriveKey({
+      password,
+      salt: base64UrlDecode(kdf.salt),
+      iterations: kdf.iterations,
+      usage: 'decrypt'
+    });
+    const plaintext = await crypto.subtle.decrypt(
+      {name: 'AES-GCM', iv: base64UrlDecode(cipher.iv)}, key,
+      base64UrlDecode(archive.ciphertext));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch(e) {
+    const error = new Error(
+      'Could not decrypt profile archive; the password may be incorrect.');
+    error.name = 'DataError';
+    error.cause = e;
+    throw error;
+  }
+}
+
+async function _deriveKey({password, salt, iterations, usage}) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(password), 'PBKDF2', false,
+    ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    {name: 'PBKDF2', hash: PBKDF2_HASH, salt, iterations},
+    baseKey, {name: 'AES-GCM', length: 256}, false, [usage]);
+}
@@ -0,0 +1,82 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as didVeresOne from 'did-veres-one';
+import {useDidDriver} from './utils.js';
+
+// process-wide registry of DID method name => DID method handler
+const DID_METHODS = new Map();
+
+/**
+ * Registers a DID method handler. Registered DID methods can be used to
+ * create profiles via `ProfileManager.createProfile` and DIDs that use them
+ * are resolved by the document loader used for key resolution and zcap
+ * delegation. DID methods can be registered at any time, including after
+ * DIDs have been resolved. Registering a DID method that is already
+ * registered replaces its handler.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.method - The DID method name, e.g., `web`.
+ * @param {object} [options.driver] - A `did-io` compatible driver used to
+ *   resolve DIDs of this method; its `method` must match `method`. If not
+ *   given, DIDs of this method must be resolvable by the default document
+ *   loader.
+ * @param {Function} [options.createOptions] - A function that receives
+ *   `{didOptions}` and returns (or resolves to) the DID method options to
+ *   send to the profile service when creating a profile; it may throw to
+ *   reject invalid options.
+ *
+ * @returns {object} The registered DID method handler.
+ */
+export function registerDidMethod({method, driver, createOptions} = {}) {
+  if(!(method && typeof method === 'string')) {
+    throw new TypeError('"method" must be a non-empty string.');
+  }
+  if(driver !== undefined) {
+    if(!(driver && typeof driver.get === 'function')) {
+      throw new TypeError('"driver" must be an object with a "get" function.');
+    }
+    if(driver.method !== method) {
+      throw new Error(
+        `"driver.method" (${driver.method}) must equal "${method}".`);
+    }
+    useDidDriver(driver);
+  }
+  if(createOptions !== undefined && typeof createOptions !== 'function') {
+    throw new TypeError('"createOptions" must be a function.');
+  }
+  const handler = {method, driver, createOptions};
+  DID_METHODS.set(method, handler);
+  return handler;
+}
+
+/**
+ * Gets a registered DID method handler.
+ *
+ * @param {string} method - The DID method name.
+ *
+ * @throws - If the DID method is not registered.
+ * @returns {object} The DID method handler.
+ */
+export function getDidMethod(method) {
+  const handler = DID_METHODS.get(method);
+  if(!handler) {
+    throw new Error(`Unsupported DID method "${method}".`);
+  }
+  return handler;
+}
+
+/**
+ * Gets the names of all registered DID methods.
+ *
+ * @returns {Array<string>} The DID method names.
+ */
+export function getDidMethods() {
+  return [...DID_METHODS.keys()];
+}
+
+// `did:key` is resolved by the default document loader
+registerDidMethod({method: 'key'});
+// applications that need other `did:v1` driver options (e.g., another
+// `mode`) can register `v1` again with their own driver
+registerDidMethod({method: 'v1', driver: didVeresOne.driver({})});
@@ -2,3 +2,9 @@
  * Copyright (c) 2019-2022 Digital Bazaar, Inc. All rights reserved.
  */
 export {ProfileManager} from './ProfileManager.js';
+export {
+  createLocalStore, IndexedDbStore, MemoryStore, SessionStorageStore
+} from './localStores.js';
+export {DEFAULT_ROLES} from './roles.js';
+export {FileStore} from './FileStore.js';
+export {getDidMethods, registerDidMethod} from './didMethods.js';
@@ -0,0 +1,291 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {base64UrlDecode, base64UrlEncode} from './utils.js';
+import crypto from './crypto.js';
+
+/* Local stores hold entries for offline use. Every store implements:
+
+- `get({key})`: resolves to the value for `key` or `undefined`.
+- `put({key, value})`: stores a JSON-serializable `value` for `key`.
+- `delete({key})`: removes the entry for `key`.
+- `list({prefix})`: resolves to the `{key, value}` entries whose key starts
+  with `prefix`, sorted by key.
+- `getKey()`: resolves to the AES-GCM `CryptoKey` used to encrypt values. */
+
+export class MemoryStore {
+  constructor() {
+    this._entries = new Map();
+    this._key = null;
+  }
+
+  async get({key}) {
+    return this._entries.get(key);
+  }
+
+  async put({key, value}) {
+    this._entries.set(key, value);
+  }
+
+  async delete({key}) {
+    this._entries.delete(key);
+  }
+
+  async list({prefix = ''} = {}) {
+    return [...this._entries]
+      .filter(([key]) => key.startsWith(prefix))
+      .sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0)
+      .map(([key, value]) => ({key, value}));
+  }
+
+  async getKey() {
+    if(!this._key) {
+      this._key = _generateKey();
+    }
+    return this._key;
+  }
+}
+
+export class IndexedDbStore {
+  /**
+   * Creates a local store backed by an IndexedDB database. The key used to
+   * encrypt values is generated as a non-extractable key and stored in the
+   * database.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.name - The name of the database.
+   *
+   * @returns {IndexedDbStore} - The new instance.
+   */
+  constructor({name} = {}) {
+    if(!(name && typeof name === 'string')) {
+      throw new TypeError('"name" must be a non-empty string.');
+    }
+    if(!globalThis.indexedDB) {
+      const error = new Error('IndexedDB is not available.');
+      error.name = 'NotSupportedError';
+      throw error;
+    }
+    this.name = name;
+    this._db = null;
+  }
+
+  async get({key}) {
+    return this._request({
+      storeName: 'entries', mode: 'readonly',
+      fn: store => store.get(key)
+    });
+  }
+
+  async put({key, value}) {
+    await this._request({
+      storeName: 'entries', mode: 'readwrite',
+      fn: store => store.put(value, key)
+    });
+  }
+
+  async delete({key}) {
+    await this._request({
+      storeName: 'entries', mode: 'readwrite',
+      fn: store => store.delete(key)
+    });
+  }
+
+  async list({prefix = ''} = {}) {
+    const range = prefix ?
+      IDBKeyRange.bound(prefix, `${prefix}\uffff`) : undefined;
+    // read keys and values in one transaction so that writes made in
+    // between cannot misalign them
+    const db = await this._open();
+    const store = db.transaction('entries', 'readonly').objectStore('entries');
+    const [keys, values] = await Promise.all([
+      _toPromise(store.getAllKeys(range)),
+      _toPromise(store.getAll(range))
+    ]);
+    return keys.map((key, i) => ({key, value: values[i]}));
+  }
+
+  async getKey() {
+    if(!this._key) {
+      this._key = this._getOrCreateKey();
+    }
+    return this._key;
+  }
+
+  async _getOrCreateKey() {
+    const existing = await this._request({
+      storeName: 'keys', mode: 'readonly',
+      fn: store => store.get('primary')
+    });
+    if(existing) {
+      return existing;
+    }
+    const key = await _generateKey();
+    await this._request({
+      storeName: 'keys', mode: 'readwrite',
+      fn: store => store.put(key, 'primary')
+    });
+    return key;
+  }
+
+  async _open() {
+    if(!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = globalThis.indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('entries');
+          request.result.createObjectStore('keys');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  async _request({storeName, mode, fn}) {
+    const db = await this._open();
+    return _toPromise(fn(db.transaction(storeName, mode).objectStore(
+      storeName)));
+  }
+}
+
+export class SessionStorageStore {
+  /**
+   * Creates a local store backed by `sessionStorage`, e.g., to persist
+   * `ProfileManager` caches across page reloads. A `CryptoKey` cannot be
+   * stored in `sessionStorage`, so this store cannot be used as a
+   * `Collection` local store.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.name - The prefix for the store's keys.
+   *
+   * @returns {SessionStorageStore} - The new instance.
+   */
+  constructor({name} = {}) {
+    if(!(name && typeof name === 'string')) {
+      throw new TypeError('"name" must be a non-empty string.');
+    }
+    if(!globalThis.sessionStorage) {
+      const error = new Error('sessionStorage is not available.');
+      error.name = 'NotSupportedError';
+      throw error;
+    }
+    this.name = name;
+  }
+
+  async get({key}) {
+    const value = globalThis.sessionStorage.getItem(this._getItemKey(key));
+    return value === null ? undefined : JSON.parse(value);
+  }
+
+  async put({key, value}) {
+    globalThis.sessionStorage.setItem(
+      this._getItemKey(key), JSON.stringify(value));
+  }
+
+  async delete({key}) {
+    globalThis.sessionStorage.removeItem(this._getItemKey(key));
+  }
+
+  async list({prefix = ''} = {}) {
+    const {sessionStorage} = globalThis;
+    const itemPrefix = this._getItemKey(prefix);
+    const entries = [];
+    for(let i = 0; i < sessionStorage.length; ++i) {
+      const itemKey = sessionStorage.key(i);
+      if(itemKey.startsWith(itemPrefix)) {
+        entries.push({
+          key: itemKey.slice(this.name.length + 1),
+          value: JSON.parse(sessionStorage.getItem(itemKey))
+        });
+      }
+    }
+    return entries.sort(({key: a}, {key: b}) => a < b ? -1 : a > b ? 1 : 0);
+  }
+
+  async getKey() {
+    const error = new Error(
+      'SessionStorageStore cannot store encryption keys.');
+    error.name = 'NotSupportedError';
+    throw error;
+  }
+
+  _getItemKey(key) {
+    return `${this.name}:${key}`;
+  }
+}
+
+/**
+ * Creates a local store for offline use: an `IndexedDbStore` if IndexedDB
+ * is available (i.e., in browsers) and a `MemoryStore` otherwise. Use a
+ * `FileStore` to persist entries to a file in Node.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The name of the store.
+ *
+ * @returns {object} The local store.
+ */
+export function createLocalStore({name} = {}) {
+  if(globalThis.indexedDB) {
+    return new IndexedDbStore({name});
+  }
+  return new MemoryStore();
+}
+
+// wraps a local store to encrypt values with the store's key
+export class EncryptedStore {
+  constructor({store}) {
+    this.store = store;
+  }
+
+  async get({key}) {
+    const value = await this.store.get({key});
+    return value === undefined ? undefined : this._decrypt(value);
+  }
+
+  async put({key, value}) {
+    const cryptoKey = await this.store.getKey();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt(
+      {name: 'AES-GCM', iv}, cryptoKey, plaintext);
+    await this.store.put({
+      key,
+      value: {
+        iv: base64UrlEncode(iv),
+        ciphertext: base64UrlEncode(new Uint8Array(ciphertext))
+      }
+    });
+  }
+
+  async delete({key}) {
+    return this.store.delete({key});
+  }
+
+  async list({prefix} = {}) {
+    const entries = await this.store.list({prefix});
+    return Promise.all(entries.map(
+      async ({key, value}) => ({key, value: await this._decrypt(value)})));
+  }
+
+  async _decrypt({iv, ciphertext}) {
+    const cryptoKey = await this.store.getKey();
+    const plaintext = await crypto.subtle.decrypt(
+      {name: 'AES-GCM', iv: base64UrlDecode(iv)}, cryptoKey,
+      base64UrlDecode(ciphertext));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+}
+
+async function _generateKey() {
+  return crypto.subtle.generateKey(
+    {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+}
+
+function _toPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
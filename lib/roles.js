@@ -0,0 +1,108 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// zcaps every profile user has, regardless of role
+export const BASE_ZCAP_REFERENCE_IDS = [
+  'profile-edv-document',
+  'userDocument',
+  'user-edv-kak'
+];
+
+// zcaps that are only delegated to profile users whose role lists them
+export const ROLE_ZCAP_REFERENCE_IDS = [
+  'profileCapabilityInvocationKey',
+  'user-edv-documents',
+  'user-edv-hmac'
+];
+
+/**
+ * The default profile user roles. Each role has:
+ *
+ * - `allowedActions`: the actions allowed on documents in profile EDVs.
+ * - `referenceIds`: the reference IDs of the profile EDVs the role may
+ *   access; `*` matches any reference ID.
+ * - `zcaps`: the reference IDs of the zcaps from `ROLE_ZCAP_REFERENCE_IDS`
+ *   that are delegated to the role (i.e., using the profile's capability
+ *   invocation key and managing the profile's users).
+ */
+export const DEFAULT_ROLES = {
+  owner: {
+    allowedActions: ['read', 'write'],
+    referenceIds: ['*'],
+    zcaps: [
+      'profileCapabilityInvocationKey',
+      'user-edv-documents',
+      'user-edv-hmac'
+    ]
+  },
+  admin: {
+    allowedActions: ['read', 'write'],
+    referenceIds: ['*'],
+    zcaps: ['user-edv-documents', 'user-edv-hmac']
+  },
+  editor: {
+    allowedActions: ['read', 'write'],
+    referenceIds: ['*'],
+    zcaps: []
+  },
+  viewer: {
+    allowedActions: ['read'],
+    referenceIds: ['*'],
+    zcaps: []
+  }
+};
+
+/**
+ * Gets a role definition by name.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.roles - The role name => role definition map.
+ * @param {string} options.role - The name of the role to get.
+ *
+ * @throws - If the role does not exist.
+ * @returns {object} The role definition.
+ */
+export function getRole({roles, role}) {
+  if(!(role && typeof role === 'string')) {
+    throw new TypeError('"role" must be a non-empty string.');
+  }
+  if(!Object.hasOwn(roles, role)) {
+    throw new Error(`Unsupported role "${role}".`);
+  }
+  return roles[role];
+}
+
+/**
+ * Returns whether a role may access the profile EDV with the given
+ * reference ID.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.role - The role definition.
+ * @param {string} options.referenceId - The reference ID of the profile EDV.
+ *
+ * @returns {boolean} `true` if the role may access the EDV.
+ */
+export function allowsReferenceId({role, referenceId}) {
+  const {referenceIds = []} = role;
+  return referenceIds.includes('*') || referenceIds.includes(referenceId);
+}
+
+/**
+ * Parses the reference ID of a profile EDV from the reference ID of one of
+ * the zcaps that grants access to it.
+ *
+ * @param {string} zcapReferenceId - The reference ID of the zcap, e.g.,
+ *   `<referenceId>-edv-documents`.
+ *
+ * @returns {string|null} The profile EDV reference ID or `null` if the zcap
+ *   does not grant access to a profile EDV.
+ */
+export function parseEdvReferenceId(zcapReferenceId) {
+  if(BASE_ZCAP_REFERENCE_IDS.includes(zcapReferenceId) ||
+    ROLE_ZCAP_REFERENCE_IDS.includes(zcapReferenceId)) {
+    return null;
+  }
+  const match = zcapReferenceId.match(/^(.+)-edv-(documents|hmac|kak)$/);
+  return match ? match[1] : null;
+}
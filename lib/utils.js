@@ -1,7 +1,6 @@
 /*!
  * Copyright (c) 2020-2022 Digital Bazaar, Inc. All rights reserved.
  */
-import * as didVeresOne from 'did-veres-one';
 import {Ed25519Signature2018} from '@digitalbazaar/ed25519-signature-2018';
 import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
 import {EdvClient} from '@digitalbazaar/edv-client';
@@ -18,11 +17,19 @@ loader.addStatic(veresOneCtx.constants.VERES_ONE_CONTEXT_V1_URL,
   veresOneCtx.contexts.get(veresOneCtx.constants.VERES_ONE_CONTEXT_V1_URL)
 );
 
-// TODO: Add options from config file
-loader.protocolHandlers.get('did').use(didVeresOne.driver({}));
-
 export const documentLoader = loader.build();
 
+/**
+ * Adds a `did-io` compatible driver to the DID resolver used by
+ * `documentLoader`. The resolver is looked up when a DID is loaded, so the
+ * driver is used by `documentLoader` even though it was already built.
+ *
+ * @param {object} driver - The DID method driver.
+ */
+export function useDidDriver(driver) {
+  loader.protocolHandlers.get('did').use(driver);
+}
+
 export async function id() {
   return `urn:zcap:${await EdvClient.generateId()}`;
 }
@@ -51,14 +58,7 @@ export async function delegate({
     throw new TypeError('"controller" must be a string.');
   }
 
-  let SuiteClass;
-  if(signer.type === 'Ed25519VerificationKey2018') {
-    SuiteClass = Ed25519Signature2018;
-  } else if(signer.type === 'Ed25519VerificationKey2020') {
-    SuiteClass = Ed25519Signature2020;
-  } else {
-    SuiteClass = Ed25519Signature2020;
-  }
+  const SuiteClass = _getSuiteClass({signer});
 
   if(!expires) {
     const defaultExpires = new Date(Date.now() + 5 * 60 * 1000);
@@ -79,6 +79,30 @@ export async function delegate({
   });
 }
 
+/**
+ * Releases a meter by deleting it from its meter service. The meter must be
+ * controlled by the given signer's controller (e.g., a profile).
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.meter - The meter to release; its `id` is the
+ *   meter's URL.
+ * @param {object} options.signer - The signer to invoke the meter's root
+ *   zcap with.
+ *
+ * @returns {Promise} - Resolves once the operation completes.
+ */
+export async function releaseMeter({meter, signer}) {
+  const {id: url} = meter;
+  const SuiteClass = _getSuiteClass({signer});
+  const zcapClient = new ZcapClient({SuiteClass, invocationSigner: signer});
+  await zcapClient.request({
+    url,
+    capability: `urn:zcap:root:${encodeURIComponent(url)}`,
+    method: 'delete',
+    action: 'write'
+  });
+}
+
 /**
  * Parses the WebKMS Keystore id from the id of a WebKMS Key.
  *
@@ -107,3 +131,108 @@ export function deriveKeystoreId(id) {
     '/' +
     paths[3]; // "<keystore_id>"
 }
+
+/**
+ * Signs an invitation and encodes it as an opaque, URL-safe token.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.invitation - The invitation to encode; it must
+ *   include the `profileId` of the profile that `signer` belongs to.
+ * @param {object} options.signer - The profile's capability invocation
+ *   signer.
+ *
+ * @returns {Promise<string>} The invitation token.
+ */
+export async function signInvitationToken({invitation, signer}) {
+  const payload = base64UrlEncode(
+    new TextEncoder().encode(JSON.stringify(invitation)));
+  const SuiteClass = _getSuiteClass({signer});
+  const suite = new SuiteClass({signer});
+  const proof = await suite.sign({
+    verifyData: new TextEncoder().encode(payload),
+    proof: {verificationMethod: signer.id}
+  });
+  const signature = base64UrlEncode(
+    new TextEncoder().encode(JSON.stringify(proof)));
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Decodes an invitation token created by `signInvitationToken` and verifies
+ * that it was signed by a capability invocation key of the invitation's
+ * profile.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.token - The invitation token.
+ *
+ * @returns {Promise<object>} The invitation.
+ */
+export async function verifyInvitationToken({token} = {}) {
+  if(!(token && typeof token === 'string')) {
+    throw new TypeError('"token" must be a non-empty string.');
+  }
+  const [payload, signature, ...rest] = token.split('.');
+  let invitation;
+  let proof;
+  try {
+    if(rest.length > 0) {
+      throw new Error('Too many token segments.');
+    }
+    invitation = JSON.parse(new TextDecoder().decode(
+      base64UrlDecode(payload)));
+    proof = JSON.parse(new TextDecoder().decode(base64UrlDecode(signature)));
+  } catch(e) {
+    const error = new Error('Invalid invitation token.');
+    error.name = 'DataError';
+    error.cause = e;
+    throw error;
+  }
+
+  // the token must be signed by one of the profile's capability invocation
+  // keys
+  const {profileId} = invitation;
+  const {verificationMethod: keyId} = proof;
+  let verified = false;
+  if(typeof profileId === 'string' && typeof keyId === 'string') {
+    const {document: didDocument} = await documentLoader(profileId);
+    const {capabilityInvocation = []} = didDocument;
+    const keyIds = [].concat(capabilityInvocation)
+      .map(key => typeof key === 'string' ? key : key.id);
+    if(keyIds.includes(keyId)) {
+      const {document: verificationMethod} = await documentLoader(keyId);
+      const SuiteClass = _getSuiteClass({signer: verificationMethod});
+      verified = await new SuiteClass().verifySignature({
+        verifyData: new TextEncoder().encode(payload),
+        verificationMethod,
+        proof
+      });
+    }
+  }
+  if(!verified) {
+    const error = new Error('Invitation token signature is invalid.');
+    error.name = 'DataError';
+    throw error;
+  }
+  return invitation;
+}
+
+export function base64UrlEncode(bytes) {
+  let binary = '';
+  for(const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary)
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(str) {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function _getSuiteClass({signer}) {
+  if(signer.type === 'Ed25519VerificationKey2018') {
+    return Ed25519Signature2018;
+  }
+  return Ed25519Signature2020;
+}
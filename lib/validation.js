@@ -0,0 +1,189 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+import {dereference, format, validate} from '@cfworker/json-schema';
+
+// `@cfworker/json-schema` interprets schemas rather than compiling them into
+// functions, so validation works under a Content Security Policy without
+// `unsafe-eval`
+const DRAFT = '2019-09';
+
+// keywords that report an error followed by the errors of the subschemas they
+// applied; only the subschema errors are reported
+const APPLICATORS = new Set([
+  '$recursiveRef', '$ref', 'additionalItems', 'additionalProperties', 'allOf',
+  'dependencies', 'dependentSchemas', 'if', 'items', 'patternProperties',
+  'prefixItems', 'properties', 'propertyNames', 'unevaluatedItems',
+  'unevaluatedProperties'
+]);
+
+// keywords that report an error followed by the errors of each alternative
+// they tried; only the keyword error is reported
+const ALTERNATIVES = new Set(['anyOf', 'contains', 'oneOf']);
+
+// keywords whose subschemas are applied to the same value as their schema
+const IN_PLACE_KEYWORDS = ['not', 'if', 'then', 'else'];
+const IN_PLACE_ARRAY_KEYWORDS = ['allOf', 'anyOf', 'oneOf'];
+
+// dereferenced copies of the schemas given to `validateItem`, keyed by schema
+const dereferenced = new WeakMap();
+
+/**
+ * Validates a collection item against a JSON schema and/or against the JSON
+ * schemas registered for each of the item's types. Schemas are interpreted
+ * as JSON schema draft 2019-09.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.item - The item to validate.
+ * @param {object} [options.schema] - A JSON schema the item must match.
+ * @param {object} [options.schemas] - A type => JSON schema map; the item
+ *   must match the schema of each of its types that has one.
+ *
+ * @throws {Error} A `DataError` with the failing `errors`, each with the
+ *   JSON pointer `path` of the invalid value, the failing `keyword` and a
+ *   `message`, if the item is invalid; a `NotFoundError` if a schema
+ *   reference cannot be resolved; or a `NotSupportedError` if a schema uses
+ *   an unknown `format` or references that recurse without validating a
+ *   nested value (e.g., `{$ref: '#'}`).
+ */
+export function validateItem({item, schema, schemas} = {}) {
+  const toValidate = [];
+  if(schema) {
+    toValidate.push(schema);
+  }
+  if(schemas) {
+    const types = Array.isArray(item.type) ? item.type : [item.type];
+    for(const type of types) {
+      if(Object.hasOwn(schemas, type)) {
+        toValidate.push(schemas[type]);
+      }
+    }
+  }
+
+  const errors = [];
+  for(const schema of toValidate) {
+    const {schema: copy, lookup} = _dereference({schema});
+    const result = validate(item, copy, DRAFT, lookup, false);
+    errors.push(..._toErrors({errors: result.errors}));
+  }
+  if(errors.length > 0) {
+    const paths = [...new Set(errors.map(({path}) => path))];
+    const error = new Error(
+      `Item failed schema validation at: ${paths.join(', ')}.`);
+    error.name = 'DataError';
+    error.errors = errors;
+    throw error;
+  }
+}
+
+function _dereference({schema}) {
+  const cacheable = schema !== null && typeof schema === 'object';
+  let entry = cacheable && dereferenced.get(schema);
+  if(!entry) {
+    // `dereference` annotates the schemas it is given, so annotate a copy
+    const copy = structuredClone(schema);
+    const lookup = dereference(copy);
+    _checkSchemas({lookup});
+    entry = {schema: copy, lookup};
+    if(cacheable) {
+      dereferenced.set(schema, entry);
+    }
+  }
+  return entry;
+}
+
+// rejects schemas that could not be validated as written: schemas with
+// unknown formats, unresolvable references, or references that apply a schema
+// to the value it is already validating, which would recurse forever
+function _checkSchemas({lookup}) {
+  const visiting = new Set();
+  const checked = new Set();
+  const check = schema => {
+    if(schema === null || typeof schema !== 'object' || checked.has(schema)) {
+      return;
+    }
+    if(visiting.has(schema)) {
+      const error = new Error(
+        'Schema references must not recurse without validating a nested ' +
+        'value.');
+      error.name = 'NotSupportedError';
+      throw error;
+    }
+    if(schema.format !== undefined && !Object.hasOwn(format, schema.format)) {
+      const error = new Error(`Schema format "${schema.format}" is unknown.`);
+      error.name = 'NotSupportedError';
+      throw error;
+    }
+    visiting.add(schema);
+    for(const subschema of _getInPlaceSubschemas({schema, lookup})) {
+      check(subschema);
+    }
+    visiting.delete(schema);
+    checked.add(schema);
+  };
+  for(const schema of Object.values(lookup)) {
+    check(schema);
+  }
+}
+
+function _getInPlaceSubschemas({schema, lookup}) {
+  const subschemas = [];
+  // `dereference` sets the absolute URIs that references resolve to
+  const refs = [
+    [schema.$ref, schema.__absolute_ref__],
+    [schema.$recursiveRef, schema.__absolute_recursive_ref__]
+  ];
+  for(const [ref, uri] of refs) {
+    if(ref === undefined) {
+      continue;
+    }
+    if(!Object.hasOwn(lookup, uri)) {
+      const error = new Error(`Schema reference "${ref}" not found.`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    subschemas.push(lookup[uri]);
+  }
+  for(const keyword of IN_PLACE_KEYWORDS) {
+    if(schema[keyword] !== undefined) {
+      subschemas.push(schema[keyword]);
+    }
+  }
+  for(const keyword of IN_PLACE_ARRAY_KEYWORDS) {
+    if(Array.isArray(schema[keyword])) {
+      subschemas.push(...schema[keyword]);
+    }
+  }
+  if(schema.dependentSchemas) {
+    subschemas.push(...Object.values(schema.dependentSchemas));
+  }
+  return subschemas;
+}
+
+function _toErrors({errors}) {
+  const result = [];
+  for(let i = 0; i < errors.length; ++i) {
+    const {instanceLocation, keyword, keywordLocation, error} = errors[i];
+    const next = errors[i + 1];
+    // `false` subschemas are reported by the keyword that applied them
+    if(keyword === 'false' && i > 0) {
+      continue;
+    }
+    if(APPLICATORS.has(keyword) && next && next.keyword !== 'false') {
+      continue;
+    }
+    result.push({
+      path: decodeURI(instanceLocation.slice(1)) || '/',
+      keyword: keyword === 'false' ? 'false schema' : keyword,
+      message: error
+    });
+    if(ALTERNATIVES.has(keyword)) {
+      while(i + 1 < errors.length &&
+        (errors[i + 1].keyword === 'false' ||
+        errors[i + 1].keywordLocation.startsWith(`${keywordLocation}/`))) {
+        ++i;
+      }
+    }
+  }
+  return result;
+}
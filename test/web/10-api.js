@@ -1,8 +1,11 @@
 /*!
  * Copyright (c) 2019-2022 Digital Bazaar, Inc. All rights reserved.
  */
+import {
+  MemoryStore, ProfileManager, registerDidMethod
+} from '@bedrock/web-profile-manager';
 import {mockData} from './mock.data.js';
-import {ProfileManager} from '@bedrock/web-profile-manager';
+import {MockEdvClient} from './mock.edv.js';
 import {ProfileService} from '@bedrock/web-profile';
 import sinon from 'sinon';
 
@@ -88,6 +91,114 @@ describe('Profile Manager API', () => {
       });
   });
 
+  describe('DID methods', () => {
+    let profileManager;
+    let profileService;
+    beforeEach(async () => {
+      profileService = new ProfileService();
+      profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL,
+        profileService
+      });
+
+      await profileManager.setSession({
+        session: {
+          data: {
+            account: {
+              id: ACCOUNT_ID
+            }
+          },
+          on: () => {},
+        }
+      });
+    });
+    it('should fail to create a profile with an unsupported DID method',
+      async () => {
+        let error;
+        let result;
+        try {
+          result = await profileManager.createProfile({didMethod: 'unknown'});
+        } catch(e) {
+          error = e;
+        }
+        should.not.exist(result);
+        should.exist(error);
+        error.message.should.contain('Unsupported DID method');
+      });
+    it('should create a profile with a registered DID method', async () => {
+      const profileDid = 'did:web:example.com:profiles:mock';
+      registerDidMethod({
+        method: 'web',
+        driver: {
+          method: 'web',
+          async get() {
+            throw new Error('Not implemented.');
+          }
+        },
+        createOptions({didOptions}) {
+          if(typeof didOptions.domain !== 'string') {
+            throw new TypeError('"didOptions.domain" must be a string.');
+          }
+          return {...didOptions, path: 'profiles'};
+        }
+      });
+      const mock = sinon.mock(profileService);
+      mock.expects('create').once().withExactArgs({
+        account: ACCOUNT_ID,
+        didMethod: 'web',
+        didOptions: {domain: 'example.com', path: 'profiles'}
+      }).returns({id: profileDid});
+
+      let error;
+      let result;
+      try {
+        result = await profileManager.createProfile(
+          {didMethod: 'web', didOptions: {domain: 'example.com'}});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.id.should.equal(profileDid);
+      mock.verify();
+    });
+    it('should fail to register a driver for another DID method', () => {
+      let error;
+      try {
+        registerDidMethod({
+          method: 'web',
+          driver: {method: 'example', async get() {}}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.message.should.contain('driver.method');
+    });
+    it('should resolve DIDs of a DID method registered later', async () => {
+      const did = 'did:later:123';
+      const get = sinon.fake.resolves({id: did, capabilityInvocation: []});
+      registerDidMethod({method: 'later', driver: {method: 'later', get}});
+      // the invitation token verification resolves the profile's DID
+      const encode = data => btoa(JSON.stringify(data))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+      const token = `${encode({profileId: did})}.` +
+        encode({verificationMethod: `${did}#key`});
+
+      let error;
+      try {
+        await profileManager.acceptInvitation({token});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DataError');
+      error.message.should.contain('signature is invalid');
+      get.calledOnce.should.equal(true);
+      get.firstCall.args[0].did.should.equal(did);
+    });
+  });
+
   describe('getProfileSigner api', () => {
     let profileManager;
     beforeEach(async () => {
@@ -414,9 +525,47 @@ describe('Profile Manager API', () => {
         result1[i].should.equal(result2[i]);
       }
     });
+    it('should use cache persisted in a cache store', async () => {
+      const cacheStore = new MemoryStore();
+      const session = {
+        data: {
+          account: {
+            id: ACCOUNT_ID
+          }
+        },
+        on: () => {},
+      };
+      const profileManager1 = new ProfileManager(
+        {edvBaseUrl: EDV_BASE_URL, cacheStore});
+      await profileManager1.setSession({session});
+
+      // a second instance, e.g., after a page reload, must not call the
+      // profile service
+      const profileService = new ProfileService();
+      const mock = sinon.mock(profileService);
+      mock.expects('getAllAgents').never();
+      const profileManager2 = new ProfileManager(
+        {edvBaseUrl: EDV_BASE_URL, cacheStore, profileService});
+
+      let error;
+      let result1;
+      let result2;
+      try {
+        await profileManager1.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        result1 = await profileManager1.getProfileIds();
+        await profileManager2.setSession({session});
+        result2 = await profileManager2.getProfileIds({useCache: true});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      mock.verify();
+      result2.should.eql(result1);
+    });
   });
 
-  describe('getProfileKeystoreAgent api', () => {
+  describe('cache api', () => {
     let profileManager;
     beforeEach(async () => {
       profileManager = new ProfileManager({
@@ -434,177 +583,663 @@ describe('Profile Manager API', () => {
         }
       });
     });
-    it('should pass if profile exists', async () => {
+    it('should report cache stats', async () => {
       let error;
-      let result;
+      let stats;
+      let profileId;
       try {
-        const {id: profileId} = await profileManager.createProfile(
-          {didMethod: 'v1', didOptions: {mode: 'test'}});
-        result = await profileManager.getProfileKeystoreAgent({profileId});
+        ({id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}}));
+        await profileManager.getProfile({id: profileId, useCache: true});
+        await profileManager.getProfile({id: profileId, useCache: true});
+        stats = profileManager.getCacheStats();
       } catch(e) {
         error = e;
       }
       should.not.exist(error);
-      should.exist(result);
-      result.should.have.property('capabilityAgent');
-      result.capabilityAgent.should.have.property('id');
-      result.capabilityAgent.id.should.contain('did:v1:');
-      result.should.have.property('keystoreId');
-      result.should.have.property('kmsClient');
+      stats.should.include.keys([
+        'profiles', 'agent-records', 'profile-signers',
+        'agent-delegated-zcaps', 'capability-agents'
+      ]);
+      stats.profiles.hits.should.equal(1);
+      stats.profiles.misses.should.equal(1);
+      stats.profiles.size.should.equal(1);
+      stats.profiles.entries.should.eql([`${ACCOUNT_ID}-${profileId}`]);
     });
-    it('should fail if profileId is undefined', async () => {
+    it('should invalidate a profile and emit cache events', async () => {
+      const events = [];
+      const onSet = ({cacheName, key}) => events.push(
+        {event: 'cacheSet', cacheName, key});
+      const onEvicted = ({cacheName, key}) => events.push(
+        {event: 'cacheEvicted', cacheName, key});
+      profileManager.on('cacheSet', onSet);
+      profileManager.on('cacheEvicted', onEvicted);
+
       let error;
-      let result;
+      let profileId;
+      let stats;
       try {
-        result = await profileManager.getProfileKeystoreAgent(
-          {profileId: undefined});
+        ({id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}}));
+        await profileManager.getProfile({id: profileId, useCache: true});
+        await profileManager.getProfileSigner({profileId});
+        await profileManager.invalidate({profileId});
+        stats = profileManager.getCacheStats();
       } catch(e) {
         error = e;
       }
-      should.not.exist(result);
-      should.exist(error);
-      error.name.should.equal('TypeError');
-      error.message.should.contain('profileId');
+      should.not.exist(error);
+      stats.profiles.size.should.equal(0);
+      stats['profile-signers'].size.should.equal(0);
+      stats['agent-delegated-zcaps'].size.should.equal(0);
+      stats['capability-agents'].size.should.equal(0);
+      const key = `${ACCOUNT_ID}-${profileId}`;
+      events.should.deep.include(
+        {event: 'cacheSet', cacheName: 'profiles', key});
+      events.should.deep.include(
+        {event: 'cacheEvicted', cacheName: 'profiles', key});
+
+      // no events after the handlers are removed
+      profileManager.off('cacheSet', onSet);
+      profileManager.off('cacheEvicted', onEvicted);
+      const {length} = events;
+      await profileManager.getProfile({id: profileId, useCache: true});
+      events.length.should.equal(length);
     });
-    it('should fail if profileId is an empty string', async () => {
+    it('should only invalidate entries for the given profile', async () => {
+      const profiles = profileManager._getCache('profiles');
+      const signers = profileManager._getCache('profile-signers');
+      profiles.set(`${ACCOUNT_ID}-did:example:1`, {});
+      profiles.set(`${ACCOUNT_ID}-did:example:10`, {});
+      signers.set('did:example:1-urn:uuid:agent1', {});
+      signers.set('did:example:10-urn:uuid:agent10', {});
+
       let error;
-      let result;
       try {
-        result = await profileManager.getProfileKeystoreAgent({profileId: ''});
+        await profileManager.invalidate({profileId: 'did:example:1'});
       } catch(e) {
         error = e;
       }
-      should.not.exist(result);
-      should.exist(error);
-      error.name.should.equal('TypeError');
-      error.message.should.contain('profileId');
-    });
-  });
-
-  describe('getProfileMeters api', () => {
-    let profileManager;
-    beforeEach(async () => {
-      profileManager = new ProfileManager({
-        edvBaseUrl: EDV_BASE_URL
-      });
-
-      await profileManager.setSession({
-        session: {
-          data: {
-            account: {
-              id: ACCOUNT_ID
-            }
-          },
-          on: () => {},
-        }
-      });
+      should.not.exist(error);
+      profiles.keys().should.eql([`${ACCOUNT_ID}-did:example:10`]);
+      signers.keys().should.eql(['did:example:10-urn:uuid:agent10']);
     });
-    it('should pass if profile exists', async () => {
+    it('should invalidate a named cache', async () => {
       let error;
-      let result;
+      let stats;
       try {
         const {id: profileId} = await profileManager.createProfile(
           {didMethod: 'v1', didOptions: {mode: 'test'}});
-        result = await profileManager.getProfileMeters({profileId});
+        await profileManager.getProfileSigner({profileId});
+        await profileManager.invalidate({cacheName: 'profile-signers'});
+        stats = profileManager.getCacheStats();
       } catch(e) {
         error = e;
       }
       should.not.exist(error);
-      should.exist(result);
-      result.should.be.an('array');
-      result.some(m => m.referenceId = 'profile:core:edv').should.equal(true);
-      result.some(m => m.referenceId = 'profile:core:credentials')
-        .should.equal(true);
-    });
-    it('should fail if profileId is undefined', async () => {
-      let error;
-      let result;
-      try {
-        result = await profileManager.getProfileMeters({profileId: undefined});
-      } catch(e) {
-        error = e;
-      }
-      should.not.exist(result);
-      should.exist(error);
-      error.name.should.equal('TypeError');
-      error.message.should.contain('profileId');
+      stats['profile-signers'].size.should.equal(0);
+      stats['capability-agents'].size.should.be.greaterThan(0);
     });
-    it('should fail if profileId is an empty string', async () => {
+    it('should invalidate entries that use invalidated capability agents',
+      async () => {
+        let error;
+        let stats;
+        let signature;
+        try {
+          const {id: profileId} = await profileManager.createProfile(
+            {didMethod: 'v1', didOptions: {mode: 'test'}});
+          await profileManager.getProfileSigner({profileId});
+          await profileManager.invalidate({cacheName: 'capability-agents'});
+          stats = profileManager.getCacheStats();
+          const {invocationSigner} = await profileManager.getProfileSigner(
+            {profileId});
+          signature = await invocationSigner.sign({data: new Uint8Array(1)});
+        } catch(e) {
+          error = e;
+        }
+        should.not.exist(error);
+        stats['capability-agents'].size.should.equal(0);
+        stats['agent-delegated-zcaps'].size.should.equal(0);
+        stats['profile-signers'].size.should.equal(0);
+        should.exist(signature);
+      });
+    it('should drop entries that use an evicted capability agent',
+      async () => {
+        const profileManager = new ProfileManager({
+          edvBaseUrl: EDV_BASE_URL,
+          caches: {'capability-agents': {maxAge: 100}}
+        });
+        await profileManager.setSession({
+          session: {
+            data: {
+              account: {
+                id: ACCOUNT_ID
+              }
+            },
+            on: () => {},
+          }
+        });
+        let error;
+        let stats;
+        try {
+          const {id: profileId} = await profileManager.createProfile(
+            {didMethod: 'v1', didOptions: {mode: 'test'}});
+          await profileManager.getProfileSigner({profileId});
+          await new Promise(resolve => setTimeout(resolve, 200));
+          // pruning expired entries disposes of the capability agents
+          stats = profileManager.getCacheStats();
+        } catch(e) {
+          error = e;
+        }
+        should.not.exist(error);
+        stats['capability-agents'].size.should.equal(0);
+        stats['agent-delegated-zcaps'].size.should.equal(0);
+        stats['profile-signers'].size.should.equal(0);
+      });
+    it('should fail to add a handler for an unknown event', async () => {
       let error;
-      let result;
       try {
-        result = await profileManager.getProfileMeters({profileId: ''});
+        profileManager.on('unknown', () => {});
       } catch(e) {
         error = e;
       }
-      should.not.exist(result);
       should.exist(error);
       error.name.should.equal('TypeError');
-      error.message.should.contain('profileId');
     });
   });
 
-  describe('createProfileEdv api', () => {
-    let profileManager;
-    beforeEach(async () => {
-      profileManager = new ProfileManager({
+  describe('events', () => {
+    it('should emit lifecycle events', async () => {
+      const profileManager = new ProfileManager({
         edvBaseUrl: EDV_BASE_URL
       });
+      const events = {};
+      for(const event of [
+        'profileCreated', 'edvCreated', 'accessAdded', 'sessionChanged',
+        'zcapDelegated'
+      ]) {
+        events[event] = [];
+        profileManager.on(event, data => events[event].push(data));
+      }
 
-      await profileManager.setSession({
-        session: {
-          data: {
-            account: {
-              id: ACCOUNT_ID
-            }
-          },
-          on: () => {},
-        }
-      });
-    });
-    it('should succeed if profile exists', async () => {
       let error;
-      let result;
+      let profileId;
+      let edvClient;
+      let user;
       try {
-        const {id: profileId, meters} = await profileManager.createProfile(
-          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        await profileManager.setSession({
+          session: {
+            data: {
+              account: {
+                id: ACCOUNT_ID
+              }
+            },
+            on: () => {},
+          }
+        });
+        let meters;
+        ({id: profileId, meters} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}}));
         const {meter: edvMeter} = meters.find(
           m => m.meter.referenceId === 'profile:core:edv');
-
-        result = await profileManager.createProfileEdv(
-          {profileId, meterId: edvMeter.id, referenceId: 'example'});
+        ({edvClient, user} = await profileManager.createProfileEdv(
+          {profileId, meterId: edvMeter.id, referenceId: 'example'}));
       } catch(e) {
         error = e;
       }
       should.not.exist(error);
-      should.exist(result);
-      result.should.have.property('edvClient');
-      result.edvClient.should.have.property('id');
-      result.edvClient.should.have.property('keyAgreementKey');
-      result.edvClient.should.have.property('hmac');
+      events.sessionChanged.should.eql(
+        [{accountId: ACCOUNT_ID, previousAccountId: null}]);
+      events.profileCreated.should.have.length(1);
+      events.profileCreated[0].profileId.should.equal(profileId);
+      events.profileCreated[0].meters.should.be.an('array');
+      events.edvCreated.should.eql(
+        [{profileId, edvId: edvClient.id, referenceId: 'example'}]);
+      events.accessAdded.should.have.length(1);
+      events.accessAdded[0].should.include(
+        {profileId, referenceId: 'example', user});
+      events.accessAdded[0].profileAgentId.should.be.a('string');
+      events.zcapDelegated.length.should.be.greaterThan(0);
+      for(const {profileAgentId, referenceId, zcap} of events.zcapDelegated) {
+        profileAgentId.should.be.a('string');
+        referenceId.should.be.a('string');
+        should.exist(zcap);
+      }
     });
-    it('should fail if profileId is undefined', async () => {
+    it('should not call a handler after it is removed', async () => {
+      const profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+      const events = [];
+      const handler = data => events.push(data);
+      profileManager.on('sessionChanged', handler);
+      profileManager.off('sessionChanged', handler);
+
       let error;
-      let result;
       try {
-        result = await profileManager.createProfileEdv({
-          profileId: undefined,
-          referenceId: 'test.org:test-edv'
+        await profileManager.setSession({
+          session: {
+            data: {
+              account: {
+                id: ACCOUNT_ID
+              }
+            },
+            on: () => {},
+          }
         });
       } catch(e) {
         error = e;
       }
-      should.not.exist(result);
-      should.exist(error);
-      error.name.should.equal('TypeError');
-      error.message.should.contain('profileId');
+      should.not.exist(error);
+      events.should.have.length(0);
     });
-    it('should fail if profileId is an empty string', async () => {
-      let error;
-      let result;
-      try {
-        result = await profileManager.createProfileEdv({
-          profileId: '',
+    it('should emit an error event when a handler fails', async () => {
+      const profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+      const errors = [];
+      const events = [];
+      profileManager.on('error', data => errors.push(data));
+      profileManager.on('sessionChanged', () => {
+        throw new Error('Handler failed.');
+      });
+      profileManager.on('sessionChanged', async () => {
+        throw new Error('Async handler failed.');
+      });
+      profileManager.on('sessionChanged', data => events.push(data));
+
+      let error;
+      try {
+        await profileManager.setSession({
+          session: {
+            data: {
+              account: {
+                id: ACCOUNT_ID
+              }
+            },
+            on: () => {},
+          }
+        });
+        // let the rejected handler's error be reported
+        await new Promise(resolve => setTimeout(resolve));
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      events.should.have.length(1);
+      errors.should.have.length(2);
+      errors.map(({error}) => error.message).should.eql(
+        ['Handler failed.', 'Async handler failed.']);
+      for(const {event, data} of errors) {
+        event.should.equal('sessionChanged');
+        data.should.equal(events[0]);
+      }
+    });
+  });
+
+  describe('detachSession and dispose api', () => {
+    const session = {
+      data: {
+        account: {
+          id: ACCOUNT_ID
+        }
+      },
+      on: () => () => {},
+    };
+    it('should detach a session and attach another', async () => {
+      const profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+      const removeListener = sinon.spy();
+      const events = [];
+      profileManager.on('sessionChanged', data => events.push(data));
+
+      let error;
+      let result;
+      try {
+        await profileManager.setSession(
+          {session: {...session, on: () => removeListener}});
+        const {id: profileId, meters} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {meter: edvMeter} = meters.find(
+          m => m.meter.referenceId === 'profile:core:edv');
+        await profileManager.createProfileEdv(
+          {profileId, meterId: edvMeter.id, referenceId: 'example'});
+        await profileManager.getProfileEdvAccess(
+          {profileId, referenceId: 'example'});
+        await profileManager.detachSession();
+        await profileManager.setSession({session});
+        result = await profileManager.getProfileIds();
+        result.should.include(profileId);
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      removeListener.calledOnce.should.equal(true);
+      profileManager.accountId.should.equal(ACCOUNT_ID);
+      events.should.eql([
+        {accountId: ACCOUNT_ID, previousAccountId: null},
+        {accountId: null, previousAccountId: ACCOUNT_ID},
+        {accountId: ACCOUNT_ID, previousAccountId: null}
+      ]);
+      const stats = profileManager.getCacheStats();
+      stats['capability-agents'].size.should.equal(0);
+      stats['agent-delegated-zcaps'].size.should.equal(0);
+      stats['profile-signers'].size.should.equal(0);
+    });
+    it('should drop capability agents when the account changes',
+      async () => {
+        const profileManager = new ProfileManager({
+          edvBaseUrl: EDV_BASE_URL
+        });
+        let onChange;
+        const evicted = [];
+        profileManager.on('cacheEvicted', ({cacheName}) =>
+          evicted.push(cacheName));
+
+        let error;
+        try {
+          await profileManager.setSession({
+            session: {
+              ...session,
+              on: (event, handler) => {
+                onChange = handler;
+                return () => {};
+              }
+            }
+          });
+          const {id: profileId} = await profileManager.createProfile(
+            {didMethod: 'v1', didOptions: {mode: 'test'}});
+          await profileManager.getProfileSigner({profileId});
+          await onChange({newData: {account: {id: 'urn:uuid:other'}}});
+        } catch(e) {
+          error = e;
+        }
+        should.not.exist(error);
+        evicted.should.include('capability-agents');
+        evicted.should.include('profile-signers');
+        const stats = profileManager.getCacheStats();
+        stats['capability-agents'].size.should.equal(0);
+        stats['profile-signers'].size.should.equal(0);
+      });
+    it('should remove event handlers on dispose', async () => {
+      const profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+      const events = [];
+      profileManager.on('sessionChanged', data => events.push(data));
+
+      let error;
+      try {
+        await profileManager.setSession({session});
+        await profileManager.dispose();
+        await profileManager.setSession({session});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      events.should.have.length(1);
+      profileManager.session.should.equal(session);
+    });
+  });
+
+  describe('asAccount api', () => {
+    const OTHER_ACCOUNT_ID = 'urn:uuid:8f2b3a7e-5c1d-4e6a-9b0f-2d7c4e1a3b59';
+    let profileManager;
+    let profileService;
+    beforeEach(async () => {
+      profileService = new ProfileService();
+      profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL, profileService
+      });
+
+      await profileManager.setSession({
+        session: {
+          data: {
+            account: {
+              id: ACCOUNT_ID
+            }
+          },
+          on: () => {},
+        }
+      });
+    });
+    it('should act for another account', async () => {
+      const stub = sinon.stub(profileService, 'getAllAgents').resolves([{
+        profileAgent: {id: 'urn:uuid:agent', profile: 'did:example:1'}
+      }]);
+
+      let error;
+      let view;
+      let result;
+      try {
+        view = profileManager.asAccount(OTHER_ACCOUNT_ID);
+        result = await view.getProfileIds();
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      result.should.eql(['did:example:1']);
+      stub.calledOnceWith({account: OTHER_ACCOUNT_ID}).should.equal(true);
+      view.accountId.should.equal(OTHER_ACCOUNT_ID);
+      profileManager.accountId.should.equal(ACCOUNT_ID);
+      // caches are shared with the instance the view was created from
+      profileManager.getCacheStats()['profile-agent-records'].entries
+        .should.include(OTHER_ACCOUNT_ID);
+    });
+    it('should fail to attach a session to a view', async () => {
+      let error;
+      try {
+        await profileManager.asAccount(OTHER_ACCOUNT_ID).setSession({
+          session: {data: {}, on: () => {}}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotSupportedError');
+    });
+    it('should stop the capability refresh of views on dispose',
+      async () => {
+        const view = profileManager.asAccount(OTHER_ACCOUNT_ID);
+        const stub = sinon.stub(view, 'getProfileIds').resolves([]);
+        let error;
+        try {
+          view.startCapabilityRefresh({interval: 60000});
+          await profileManager.dispose();
+        } catch(e) {
+          error = e;
+        } finally {
+          stub.restore();
+        }
+        should.not.exist(error);
+        should.not.exist(view._refreshTimer);
+      });
+    it('should fail if accountId is undefined', async () => {
+      let error;
+      try {
+        profileManager.asAccount();
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+    });
+  });
+
+  describe('getProfileKeystoreAgent api', () => {
+    let profileManager;
+    beforeEach(async () => {
+      profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+
+      await profileManager.setSession({
+        session: {
+          data: {
+            account: {
+              id: ACCOUNT_ID
+            }
+          },
+          on: () => {},
+        }
+      });
+    });
+    it('should pass if profile exists', async () => {
+      let error;
+      let result;
+      try {
+        const {id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        result = await profileManager.getProfileKeystoreAgent({profileId});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.should.have.property('capabilityAgent');
+      result.capabilityAgent.should.have.property('id');
+      result.capabilityAgent.id.should.contain('did:v1:');
+      result.should.have.property('keystoreId');
+      result.should.have.property('kmsClient');
+    });
+    it('should fail if profileId is undefined', async () => {
+      let error;
+      let result;
+      try {
+        result = await profileManager.getProfileKeystoreAgent(
+          {profileId: undefined});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.contain('profileId');
+    });
+    it('should fail if profileId is an empty string', async () => {
+      let error;
+      let result;
+      try {
+        result = await profileManager.getProfileKeystoreAgent({profileId: ''});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.contain('profileId');
+    });
+  });
+
+  describe('getProfileMeters api', () => {
+    let profileManager;
+    beforeEach(async () => {
+      profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+
+      await profileManager.setSession({
+        session: {
+          data: {
+            account: {
+              id: ACCOUNT_ID
+            }
+          },
+          on: () => {},
+        }
+      });
+    });
+    it('should pass if profile exists', async () => {
+      let error;
+      let result;
+      try {
+        const {id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        result = await profileManager.getProfileMeters({profileId});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.should.be.an('array');
+      result.some(m => m.referenceId = 'profile:core:edv').should.equal(true);
+      result.some(m => m.referenceId = 'profile:core:credentials')
+        .should.equal(true);
+    });
+    it('should fail if profileId is undefined', async () => {
+      let error;
+      let result;
+      try {
+        result = await profileManager.getProfileMeters({profileId: undefined});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.contain('profileId');
+    });
+    it('should fail if profileId is an empty string', async () => {
+      let error;
+      let result;
+      try {
+        result = await profileManager.getProfileMeters({profileId: ''});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.contain('profileId');
+    });
+  });
+
+  describe('createProfileEdv api', () => {
+    let profileManager;
+    beforeEach(async () => {
+      profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+
+      await profileManager.setSession({
+        session: {
+          data: {
+            account: {
+              id: ACCOUNT_ID
+            }
+          },
+          on: () => {},
+        }
+      });
+    });
+    it('should succeed if profile exists', async () => {
+      let error;
+      let result;
+      try {
+        const {id: profileId, meters} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {meter: edvMeter} = meters.find(
+          m => m.meter.referenceId === 'profile:core:edv');
+
+        result = await profileManager.createProfileEdv(
+          {profileId, meterId: edvMeter.id, referenceId: 'example'});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.should.have.property('edvClient');
+      result.edvClient.should.have.property('id');
+      result.edvClient.should.have.property('keyAgreementKey');
+      result.edvClient.should.have.property('hmac');
+    });
+    it('should fail if profileId is undefined', async () => {
+      let error;
+      let result;
+      try {
+        result = await profileManager.createProfileEdv({
+          profileId: undefined,
           referenceId: 'test.org:test-edv'
         });
       } catch(e) {
@@ -615,9 +1250,423 @@ describe('Profile Manager API', () => {
       error.name.should.equal('TypeError');
       error.message.should.contain('profileId');
     });
+    it('should fail if profileId is an empty string', async () => {
+      let error;
+      let result;
+      try {
+        result = await profileManager.createProfileEdv({
+          profileId: '',
+          referenceId: 'test.org:test-edv'
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.contain('profileId');
+    });
+  });
+
+  describe('AccessManager', () => {
+    let profileManager;
+    beforeEach(async () => {
+      profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+
+      await profileManager.setSession({
+        session: {
+          data: {
+            account: {
+              id: ACCOUNT_ID
+            }
+          },
+          on: () => {},
+        }
+      });
+    });
+    it('should pass', async () => {
+      let error;
+      let result;
+      try {
+        const {id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {accessManager} = await profileManager.getAccessManager(
+          {profileId});
+        result = accessManager;
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.should.have.property('profile');
+      result.profile.should.have.property('id');
+      result.profile.id.should.contain('did:v1:');
+      result.profile.should.have.property('accessManagement');
+      result.should.have.property('profileManager');
+      result.should.have.property('users');
+    });
+    it('should add access when creating an EDV', async () => {
+      let error;
+      let result;
+      try {
+        const {id: profileId, meters} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {meter: edvMeter} = meters.find(
+          m => m.meter.referenceId === 'profile:core:edv');
+
+        const referenceId = 'example';
+        const {user} = await profileManager.createProfileEdv(
+          {profileId, meterId: edvMeter.id, referenceId});
+        result = user;
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.should.include.keys(['id', 'zcaps']);
+      result.id.should.contain('did:key:');
+      result.zcaps.should.be.an('object');
+      result.zcaps.should.include.keys([
+        'example-edv-hmac', 'example-edv-kak', 'example-edv-documents'
+      ]);
+    });
+    it('should not add access when creating an EDV', async () => {
+      let error;
+      let result;
+      try {
+        const {id: profileId, meters} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {meter: edvMeter} = meters.find(
+          m => m.meter.referenceId === 'profile:core:edv');
+
+        const referenceId = 'example';
+        const {user} = await profileManager.createProfileEdv(
+          {profileId, meterId: edvMeter.id, referenceId, addAccess: false});
+        result = user;
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.not.exist(result);
+    });
+    it('should add access after creating an EDV', async () => {
+      const referenceId = 'example';
+      let profileId;
+      let error;
+      let result;
+      try {
+        const {id, meters} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        profileId = id;
+        const {meter: edvMeter} = meters.find(
+          m => m.meter.referenceId === 'profile:core:edv');
+
+        const {user} = await profileManager.createProfileEdv(
+          {profileId, meterId: edvMeter.id, referenceId, addAccess: false});
+        result = user;
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.not.exist(result);
+
+      // now add access on demand
+      try {
+        result = await profileManager.getProfileEdvAccess(
+          {profileId, referenceId});
+      } catch(e) {
+        error = e;
+        console.log('error', e);
+      }
+      should.not.exist(error);
+      should.exist(result);
+    });
+    it('should create a user', async () => {
+      let error;
+      let result;
+      let profileId;
+      try {
+        ({id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}}));
+        const {accessManager} = await profileManager.getAccessManager(
+          {profileId});
+        result = await accessManager.createUser({
+          content: {name: 'Device'},
+          account: ACCOUNT_ID
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.should.include.keys(['id', 'type', 'zcaps', 'authorizedDate']);
+      result.id.should.contain('did:key:');
+      result.type.should.include.members(['User', 'Agent']);
+      result.name.should.equal('Device');
+      result.zcaps.should.include.keys(['profile-edv-document']);
+      result.zcaps['profile-edv-document'].controller.should.equal(result.id);
+    });
+    it('should create a user with a role', async () => {
+      let error;
+      let result;
+      try {
+        const {id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {accessManager} = await profileManager.getAccessManager(
+          {profileId});
+        result = await accessManager.createUser(
+          {account: ACCOUNT_ID, role: 'admin'});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.role.should.equal('admin');
+      result.zcaps.should.include.keys([
+        'profile-edv-document', 'user-edv-documents', 'user-edv-hmac'
+      ]);
+      result.zcaps.should.not.have.property('profileCapabilityInvocationKey');
+    });
+    it('should fail to create a user with an unknown role', async () => {
+      let error;
+      let result;
+      try {
+        const {id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {accessManager} = await profileManager.getAccessManager(
+          {profileId});
+        result = await accessManager.createUser(
+          {account: ACCOUNT_ID, role: 'unknown'});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.message.should.contain('Unsupported role');
+    });
+    it('should clean up the profile agent if creating a user fails',
+      async () => {
+        const {_profileService: profileService} = profileManager;
+        const {id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {accessManager} = await profileManager.getAccessManager(
+          {profileId});
+        const createAgent = sinon.spy(profileService, 'createAgent');
+        const deleteAgent = sinon.spy(profileService, 'deleteAgent');
+        const update = sinon.stub(profileService, 'updateAgentCapabilitySet')
+          .rejects(new Error('Update failed.'));
+        let error;
+        try {
+          await accessManager.createUser(
+            {account: ACCOUNT_ID, role: 'viewer'});
+        } catch(e) {
+          error = e;
+        } finally {
+          createAgent.restore();
+          deleteAgent.restore();
+          update.restore();
+        }
+        should.exist(error);
+        error.message.should.equal('Update failed.');
+        const {id} = (await createAgent.firstCall.returnValue).profileAgent;
+        update.firstCall.args[0].account.should.equal(ACCOUNT_ID);
+        deleteAgent.calledOnce.should.equal(true);
+        deleteAgent.firstCall.args[0].should.eql({id, account: ACCOUNT_ID});
+        const users = await accessManager.getUsers();
+        users.map(({id}) => id).should.not.include(id);
+      });
+    it('should update the role of a user', async () => {
+      const referenceId = 'example';
+      let error;
+      let result;
+      let previous;
+      try {
+        const {id: profileId, meters} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {meter: edvMeter} = meters.find(
+          m => m.meter.referenceId === 'profile:core:edv');
+        await profileManager.createProfileEdv(
+          {profileId, meterId: edvMeter.id, referenceId, addAccess: false});
+        const {accessManager} = await profileManager.getAccessManager(
+          {profileId});
+        const user = await accessManager.createUser(
+          {account: ACCOUNT_ID, role: 'admin'});
+        ({zcaps: previous} = await profileManager.addProfileEdvAccess(
+          {profileId, profileAgentId: user.id, referenceId}));
+        result = await accessManager.updateUserRole(
+          {id: user.id, role: 'viewer'});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.role.should.equal('viewer');
+      // dropped and replaced zcaps are revoked
+      result.revocations.map(({id}) => id).should.include.members([
+        previous['user-edv-documents'].id,
+        previous['user-edv-hmac'].id,
+        previous['example-edv-documents'].id
+      ]);
+      result.zcaps.should.not.have.property('user-edv-documents');
+      result.zcaps.should.not.have.property('user-edv-hmac');
+      result.zcaps.should.include.keys(['example-edv-documents']);
+      result.zcaps['example-edv-documents'].allowedAction.should.eql(
+        ['read']);
+    });
+    it('should remove a user', async () => {
+      let error;
+      let result;
+      let user;
+      try {
+        const {id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {accessManager} = await profileManager.getAccessManager(
+          {profileId});
+        user = await accessManager.createUser(
+          {account: ACCOUNT_ID, role: 'viewer'});
+        await accessManager.removeUser({id: user.id});
+        result = await accessManager.getUsers();
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.map(({id}) => id).should.not.include(user.id);
+    });
+    it('should not remove self without "allowSelf"', async () => {
+      let error;
+      try {
+        const {id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {accessManager, profileAgent} =
+          await profileManager.getAccessManager({profileId});
+        await accessManager.removeUser({id: profileAgent.id});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotAllowedError');
+      error.message.should.contain('allowSelf');
+    });
+    it('should not remove the last user that can use the profile key',
+      async () => {
+        let error;
+        try {
+          const {id: profileId} = await profileManager.createProfile(
+            {didMethod: 'v1', didOptions: {mode: 'test'}});
+          const {accessManager, profileAgent} =
+            await profileManager.getAccessManager({profileId});
+          await accessManager.removeUser(
+            {id: profileAgent.id, allowSelf: true});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.name.should.equal('NotAllowedError');
+        error.message.should.contain('last user');
+      });
+    it('should revoke EDV access of a user', async () => {
+      const referenceId = 'example';
+      let error;
+      let result;
+      try {
+        const {id: profileId, meters} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {meter: edvMeter} = meters.find(
+          m => m.meter.referenceId === 'profile:core:edv');
+        await profileManager.createProfileEdv(
+          {profileId, meterId: edvMeter.id, referenceId, addAccess: false});
+        const {accessManager} = await profileManager.getAccessManager(
+          {profileId});
+        const user = await accessManager.createUser(
+          {account: ACCOUNT_ID, role: 'editor'});
+        await profileManager.addProfileEdvAccess(
+          {profileId, profileAgentId: user.id, referenceId});
+        result = await profileManager.removeProfileEdvAccess(
+          {profileId, profileAgentId: user.id, referenceId});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.zcaps.should.not.have.any.keys([
+        'example-edv-hmac', 'example-edv-kak', 'example-edv-documents'
+      ]);
+      result.revocations.should.be.an('array');
+      result.revocations.map(({referenceId}) => referenceId).should.have
+        .members([
+          'example-edv-hmac', 'example-edv-kak', 'example-edv-documents'
+        ]);
+    });
+    it('should revoke the agent record zcaps of a user', async () => {
+      let error;
+      let result;
+      try {
+        const {id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {accessManager} = await profileManager.getAccessManager(
+          {profileId});
+        const user = await accessManager.createUser(
+          {account: ACCOUNT_ID, role: 'viewer'});
+        user.agentRecordZcaps.should.have.keys(
+          ['userDocument', 'user-edv-kak']);
+        result = await profileManager.revokeAgentAccess(
+          {profileId, profileAgentId: user.id});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.agentRecordZcaps.should.eql({});
+      result.revocations.map(({referenceId}) => referenceId).should.include
+        .members(['userDocument', 'user-edv-kak']);
+    });
+    it('should not revoke zcaps needed by the caller', async () => {
+      let error;
+      try {
+        const {id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}});
+        const {profileAgent} = await profileManager.getAccessManager(
+          {profileId});
+        await profileManager.revokeAgentAccess(
+          {profileId, profileAgentId: profileAgent.id});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotAllowedError');
+    });
+    it('should fail if profileId is undefined', async () => {
+      let error;
+      let result;
+      try {
+        result = await profileManager.getAccessManager({profileId: undefined});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.contain('profileId');
+    });
+    it('should fail if profileId is an empty string', async () => {
+      let error;
+      let result;
+      try {
+        result = await profileManager.getAccessManager({profileId: ''});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.contain('profileId');
+    });
   });
 
-  describe('AccessManager', () => {
+  describe('refreshAgentCapabilities api', () => {
     let profileManager;
     beforeEach(async () => {
       profileManager = new ProfileManager({
@@ -635,108 +1684,213 @@ describe('Profile Manager API', () => {
         }
       });
     });
-    it('should pass', async () => {
+    it('should not refresh zcaps that are not close to expiry', async () => {
       let error;
       let result;
       try {
         const {id: profileId} = await profileManager.createProfile(
           {didMethod: 'v1', didOptions: {mode: 'test'}});
-        const {accessManager} = await profileManager.getAccessManager(
-          {profileId});
-        result = accessManager;
+        result = await profileManager.refreshAgentCapabilities(
+          {profileId, threshold: 0});
       } catch(e) {
         error = e;
       }
       should.not.exist(error);
       should.exist(result);
-      result.should.have.property('profile');
-      result.profile.should.have.property('id');
-      result.profile.id.should.contain('did:v1:');
-      result.profile.should.have.property('accessManagement');
-      result.should.have.property('profileManager');
-      result.should.have.property('users');
+      result.refreshed.should.eql([]);
     });
-    it('should add access when creating an EDV', async () => {
+    it('should refresh zcaps that are close to expiry', async () => {
       let error;
       let result;
+      let before;
+      let after;
       try {
-        const {id: profileId, meters} = await profileManager.createProfile(
+        const {id: profileId} = await profileManager.createProfile(
           {didMethod: 'v1', didOptions: {mode: 'test'}});
-        const {meter: edvMeter} = meters.find(
-          m => m.meter.referenceId === 'profile:core:edv');
-
-        const referenceId = 'example';
-        const {user} = await profileManager.createProfileEdv(
-          {profileId, meterId: edvMeter.id, referenceId});
-        result = user;
+        before = await profileManager.getAgent({profileId});
+        // treat every zcap as close to expiry
+        result = await profileManager.refreshAgentCapabilities(
+          {profileId, threshold: 10 * 365 * 24 * 60 * 60 * 1000});
+        after = await profileManager.getAgent({profileId});
       } catch(e) {
         error = e;
       }
       should.not.exist(error);
       should.exist(result);
-      result.should.include.keys(['id', 'zcaps']);
-      result.id.should.contain('did:key:');
-      result.zcaps.should.be.an('object');
-      result.zcaps.should.include.keys([
-        'example-edv-hmac', 'example-edv-kak', 'example-edv-documents'
-      ]);
+      result.refreshed.length.should.be.greaterThan(0);
+      for(const referenceId of result.refreshed) {
+        after.zcaps[referenceId].id.should.not.equal(
+          before.zcaps[referenceId].id);
+      }
     });
-    it('should not add access when creating an EDV', async () => {
+    it('should report profiles that are not allowed to refresh',
+      async () => {
+        const notAllowed = new Error('Not allowed.');
+        notAllowed.name = 'NotAllowedError';
+        const stubs = [
+          sinon.stub(profileManager, 'getProfileIds')
+            .resolves(['did:example:1']),
+          sinon.stub(profileManager, 'refreshAgentCapabilities')
+            .rejects(notAllowed)
+        ];
+        const events = [];
+        profileManager.on('refreshFailed', event => events.push(event));
+        try {
+          profileManager.startCapabilityRefresh({interval: 60000});
+          await new Promise(resolve => setTimeout(resolve));
+        } finally {
+          profileManager.stopCapabilityRefresh();
+          stubs.forEach(stub => stub.restore());
+        }
+        events.length.should.equal(1);
+        events[0].profileId.should.equal('did:example:1');
+        events[0].error.name.should.equal('NotAllowedError');
+      });
+    it('should emit errors thrown by onError', async () => {
+      const stub = sinon.stub(profileManager, 'getProfileIds')
+        .rejects(new Error('Offline.'));
+      const errors = [];
+      profileManager.on('error', data => errors.push(data));
+      try {
+        profileManager.startCapabilityRefresh({
+          interval: 60000,
+          onError() {
+            throw new Error('Handler failed.');
+          }
+        });
+        await new Promise(resolve => setTimeout(resolve));
+      } finally {
+        profileManager.stopCapabilityRefresh();
+        stub.restore();
+      }
+      errors.length.should.equal(1);
+      errors[0].event.should.equal('refreshFailed');
+      errors[0].data.error.message.should.equal('Offline.');
+      errors[0].error.message.should.equal('Handler failed.');
+    });
+    it('should not start a refresh while one is running', async () => {
+      let release;
+      const stub = sinon.stub(profileManager, 'getProfileIds')
+        .returns(new Promise(resolve => release = () => resolve([])));
+      try {
+        profileManager.startCapabilityRefresh({interval: 10});
+        await new Promise(resolve => setTimeout(resolve, 50));
+        stub.callCount.should.equal(1);
+        release();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        stub.callCount.should.be.greaterThan(1);
+      } finally {
+        profileManager.stopCapabilityRefresh();
+        stub.restore();
+      }
+    });
+    it('should fail if profileId is undefined', async () => {
       let error;
       let result;
       try {
-        const {id: profileId, meters} = await profileManager.createProfile(
-          {didMethod: 'v1', didOptions: {mode: 'test'}});
-        const {meter: edvMeter} = meters.find(
-          m => m.meter.referenceId === 'profile:core:edv');
+        result = await profileManager.refreshAgentCapabilities(
+          {profileId: undefined});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.contain('profileId');
+    });
+  });
 
-        const referenceId = 'example';
-        const {user} = await profileManager.createProfileEdv(
-          {profileId, meterId: edvMeter.id, referenceId, addAccess: false});
-        result = user;
+  describe('deleteProfile api', () => {
+    let profileManager;
+    beforeEach(async () => {
+      profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+
+      await profileManager.setSession({
+        session: {
+          data: {
+            account: {
+              id: ACCOUNT_ID
+            }
+          },
+          on: () => {},
+        }
+      });
+    });
+    it('should delete a profile', async () => {
+      let error;
+      let profileId;
+      let profileIds;
+      let agent;
+      let stats;
+      try {
+        ({id: profileId} = await profileManager.createProfile(
+          {didMethod: 'v1', didOptions: {mode: 'test'}}));
+        const {accessManager} = await profileManager.getAccessManager(
+          {profileId});
+        await accessManager.createUser(
+          {account: ACCOUNT_ID, role: 'viewer'});
+        agent = await profileManager.getAgent({profileId});
+        await profileManager.deleteProfile({profileId});
+        stats = profileManager.getCacheStats();
+        profileIds = await profileManager.getProfileIds();
       } catch(e) {
         error = e;
       }
       should.not.exist(error);
-      should.not.exist(result);
+      should.exist(profileIds);
+      profileIds.should.not.include(profileId);
+      // nothing cached for the profile agent is left
+      for(const {entries} of Object.values(stats)) {
+        entries.filter(key => key.includes(agent.id)).should.eql([]);
+      }
     });
-    it('should add access after creating an EDV', async () => {
+    it('should export documents when deleting a profile', async () => {
       const referenceId = 'example';
-      let profileId;
       let error;
       let result;
       try {
-        const {id, meters} = await profileManager.createProfile(
+        const {id: profileId, meters} = await profileManager.createProfile(
           {didMethod: 'v1', didOptions: {mode: 'test'}});
-        profileId = id;
         const {meter: edvMeter} = meters.find(
           m => m.meter.referenceId === 'profile:core:edv');
-
-        const {user} = await profileManager.createProfileEdv(
-          {profileId, meterId: edvMeter.id, referenceId, addAccess: false});
-        result = user;
+        await profileManager.createProfileEdv(
+          {profileId, meterId: edvMeter.id, referenceId});
+        const collection = await profileManager.getCollection(
+          {profileId, referenceId, type: 'Example'});
+        await collection.create({
+          item: {id: 'urn:uuid:2b4d3a5c-1f4e-4a3a-9b8f-6f2d8b7f1e01',
+            type: 'Example'}
+        });
+        result = await profileManager.deleteProfile(
+          {profileId, documents: 'export'});
       } catch(e) {
         error = e;
       }
       should.not.exist(error);
-      should.not.exist(result);
-
-      // now add access on demand
+      should.exist(result);
+      result.documents.should.have.property(referenceId);
+      result.documents[referenceId].should.have.length(1);
+      result.documents[referenceId][0].content.type.should.equal('Example');
+    });
+    it('should fail if "documents" is invalid', async () => {
+      let error;
       try {
-        result = await profileManager.getProfileEdvAccess(
-          {profileId, referenceId});
+        await profileManager.deleteProfile(
+          {profileId: 'did:example:1234', documents: 'archive'});
       } catch(e) {
         error = e;
-        console.log('error', e);
       }
-      should.not.exist(error);
-      should.exist(result);
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.contain('documents');
     });
     it('should fail if profileId is undefined', async () => {
       let error;
       let result;
       try {
-        result = await profileManager.getAccessManager({profileId: undefined});
+        result = await profileManager.deleteProfile({profileId: undefined});
       } catch(e) {
         error = e;
       }
@@ -745,19 +1899,281 @@ describe('Profile Manager API', () => {
       error.name.should.equal('TypeError');
       error.message.should.contain('profileId');
     });
-    it('should fail if profileId is an empty string', async () => {
+  });
+
+  describe('exportProfile and importProfile api', () => {
+    const referenceId = 'example';
+    let profileManager;
+    let edvs;
+    beforeEach(async () => {
+      profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+      // use local EDV stand-ins keyed by profile ID and reference ID
+      edvs = new Map();
+      const getEdvKey = ({profileId, referenceId}) =>
+        `${profileId}-${referenceId}`;
+      sinon.stub(profileManager, 'getProfile').callsFake(
+        async ({id}) => ({id, type: ['User', 'Profile'], name: 'Example'}));
+      sinon.stub(profileManager, 'getAgent').resolves(
+        {id: 'urn:uuid:agent', zcaps: {}});
+      sinon.stub(profileManager, 'getAccessManager').resolves({
+        accessManager: {
+          getUsers: async () => [{
+            id: 'urn:uuid:agent',
+            zcaps: {[`${referenceId}-edv-documents`]: {}}
+          }]
+        }
+      });
+      sinon.stub(profileManager, 'getProfileMeters').resolves(
+        [{id: 'urn:uuid:meter', referenceId: 'profile:core:edv'}]);
+      sinon.stub(profileManager, 'createProfileEdv').callsFake(
+        async options => {
+          const key = getEdvKey(options);
+          if(edvs.has(key)) {
+            const error = new Error('Duplicate error.');
+            error.name = 'DuplicateError';
+            throw error;
+          }
+          const edvClient = new MockEdvClient();
+          edvs.set(key, edvClient);
+          return {edvClient};
+        });
+      sinon.stub(profileManager, 'getProfileEdvAccess').callsFake(
+        async options => ({edvClient: edvs.get(getEdvKey(options))}));
+    });
+    it('should export and import a profile', async () => {
       let error;
+      let archive;
       let result;
+      const sourceEdv = new MockEdvClient();
+      edvs.set(`did:example:source-${referenceId}`, sourceEdv);
+      await sourceEdv.update({
+        doc: {id: 'z1', content: {id: 'urn:uuid:1', type: 'Example'}}
+      });
       try {
-        result = await profileManager.getAccessManager({profileId: ''});
+        archive = await profileManager.exportProfile(
+          {profileId: 'did:example:source', password: 'secret'});
+        result = await profileManager.importProfile(
+          {profileId: 'did:example:target', archive, password: 'secret'});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      archive.type.should.equal('EncryptedProfileArchive');
+      JSON.stringify(archive).should.not.contain('urn:uuid:1');
+      result.profile.id.should.equal('did:example:source');
+      result.users.should.have.length(1);
+      result.imported.should.eql({[referenceId]: 1});
+      const targetEdv = edvs.get(`did:example:target-${referenceId}`);
+      const doc = await targetEdv.get({id: 'z1'});
+      doc.content.should.eql({id: 'urn:uuid:1', type: 'Example'});
+    });
+    it('should replace existing documents on import', async () => {
+      let error;
+      let doc;
+      const sourceEdv = new MockEdvClient();
+      edvs.set(`did:example:source-${referenceId}`, sourceEdv);
+      await sourceEdv.update({
+        doc: {id: 'z1', content: {id: 'urn:uuid:1', type: 'Example'}}
+      });
+      try {
+        const archive = await profileManager.exportProfile(
+          {profileId: 'did:example:source', password: 'secret'});
+        await profileManager.importProfile(
+          {profileId: 'did:example:target', archive, password: 'secret'});
+        await profileManager.importProfile(
+          {profileId: 'did:example:target', archive, password: 'secret'});
+        const targetEdv = edvs.get(`did:example:target-${referenceId}`);
+        doc = await targetEdv.get({id: 'z1'});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      doc.sequence.should.equal(1);
+    });
+    it('should fail to import with the wrong password', async () => {
+      let error;
+      let result;
+      edvs.set(`did:example:source-${referenceId}`, new MockEdvClient());
+      try {
+        const archive = await profileManager.exportProfile(
+          {profileId: 'did:example:source', password: 'secret'});
+        result = await profileManager.importProfile(
+          {profileId: 'did:example:target', archive, password: 'wrong'});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(result);
+      should.exist(error);
+      error.name.should.equal('DataError');
+    });
+    it('should fail if password is undefined', async () => {
+      let error;
+      let result;
+      try {
+        result = await profileManager.exportProfile(
+          {profileId: 'did:example:source', password: undefined});
       } catch(e) {
         error = e;
       }
       should.not.exist(result);
       should.exist(error);
       error.name.should.equal('TypeError');
-      error.message.should.contain('profileId');
+      error.message.should.contain('password');
+    });
+  });
+
+  describe('invitations', () => {
+    let profileManager;
+    let profileId;
+    let accessManager;
+    beforeEach(async () => {
+      profileManager = new ProfileManager({
+        edvBaseUrl: EDV_BASE_URL
+      });
+
+      await profileManager.setSession({
+        session: {
+          data: {
+            account: {
+              id: ACCOUNT_ID
+            }
+          },
+          on: () => {},
+        }
+      });
+      ({id: profileId} = await profileManager.createProfile(
+        {didMethod: 'v1', didOptions: {mode: 'test'}}));
+      ({accessManager} = await profileManager.getAccessManager({profileId}));
+    });
+    it('should create an invitation', async () => {
+      let error;
+      let result;
+      try {
+        result = await accessManager.createInvitation({role: 'viewer'});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.token.should.be.a('string');
+      result.invitation.status.should.equal('pending');
+      result.invitation.role.should.equal('viewer');
+      // the invitation capability agent's secret is only in the token
+      result.invitation.should.not.have.property('secret');
+
+      const invitations = await accessManager.getInvitations(
+        {status: 'pending'});
+      invitations.map(({id}) => id).should.include(result.invitation.id);
+    });
+    it('should accept an invitation once', async () => {
+      let error;
+      let result;
+      let token;
+      try {
+        ({token} = await accessManager.createInvitation({role: 'editor'}));
+        result = await profileManager.acceptInvitation({token});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.profileId.should.equal(profileId);
+      result.user.role.should.equal('editor');
+      result.user.zcaps.should.include.keys(['profile-edv-document']);
+
+      let error2;
+      try {
+        await profileManager.acceptInvitation({token});
+      } catch(e) {
+        error2 = e;
+      }
+      should.exist(error2);
+      error2.name.should.equal('NotAllowedError');
+    });
+    it('should not accept a token that was not signed by the profile',
+      async () => {
+        let error;
+        let result;
+        try {
+          const [{token: token1}, {token: token2}] = await Promise.all([
+            accessManager.createInvitation({role: 'editor'}),
+            accessManager.createInvitation({role: 'viewer'})
+          ]);
+          // pair the first invitation with the second one's signature
+          const [payload] = token1.split('.');
+          const [, signature] = token2.split('.');
+          result = await profileManager.acceptInvitation(
+            {token: `${payload}.${signature}`});
+        } catch(e) {
+          error = e;
+        }
+        should.not.exist(result);
+        should.exist(error);
+        error.name.should.equal('DataError');
+      });
+    it('should leave an invitation pending if accepting it fails',
+      async () => {
+        const {token, invitation} = await accessManager.createInvitation(
+          {role: 'editor'});
+        const stub = sinon.stub(
+          profileManager._profileService, 'updateAgentCapabilitySet')
+          .rejects(new Error('Update failed.'));
+        let error;
+        try {
+          await profileManager.acceptInvitation({token});
+        } catch(e) {
+          error = e;
+        } finally {
+          stub.restore();
+        }
+        should.exist(error);
+        error.message.should.equal('Update failed.');
+        let invitations = await accessManager.getInvitations(
+          {status: 'pending'});
+        invitations.map(({id}) => id).should.include(invitation.id);
+
+        let error2;
+        let result;
+        try {
+          result = await profileManager.acceptInvitation({token});
+        } catch(e) {
+          error2 = e;
+        }
+        should.not.exist(error2);
+        result.user.role.should.equal('editor');
+        invitations = await accessManager.getInvitations(
+          {status: 'consumed'});
+        invitations.map(({id}) => id).should.include(invitation.id);
+      });
+    it('should revoke an invitation', async () => {
+      let error;
+      let result;
+      try {
+        const {invitation} = await accessManager.createInvitation(
+          {role: 'viewer'});
+        result = await accessManager.revokeInvitation({id: invitation.id});
+      } catch(e) {
+        error = e;
+      }
+      should.not.exist(error);
+      should.exist(result);
+      result.status.should.equal('revoked');
     });
+    it('should fail to create an invitation with an unknown role',
+      async () => {
+        let error;
+        let result;
+        try {
+          result = await accessManager.createInvitation({role: 'unknown'});
+        } catch(e) {
+          error = e;
+        }
+        should.not.exist(result);
+        should.exist(error);
+        error.message.should.contain('Unsupported role');
+      });
   });
 
   describe('delegateCapability api', () => {
@@ -1,8 +1,9 @@
 /*!
  * Copyright (c) 2019-2022 Digital Bazaar, Inc. All rights reserved.
  */
+import {MemoryStore, ProfileManager} from '@bedrock/web-profile-manager';
 import {EdvClient} from '@digitalbazaar/edv-client';
-import {ProfileManager} from '@bedrock/web-profile-manager';
+import sinon from 'sinon';
 
 const ACCOUNT_ID = 'urn:uuid:ffaf5d84-7dc2-4f7b-9825-cc8d2e5a5d06';
 const EDV_BASE_URL = `${window.location.origin}/edvs`;
@@ -100,6 +101,96 @@ describe('Collection API', () => {
     contents.should.deep.include(doc1);
     contents.should.deep.include(doc2);
   });
+  it('should list docs in a collection page by page', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const docs = [];
+    for(let i = 0; i < 3; ++i) {
+      const doc = {id: await EdvClient.generateId(), type: 'test'};
+      await collection.create({item: doc});
+      docs.push(doc);
+    }
+
+    let page1;
+    let page2;
+    let err;
+    try {
+      page1 = await collection.list({limit: 2});
+      page2 = await collection.list({limit: 2, cursor: page1.cursor});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    page1.documents.length.should.equal(2);
+    page1.hasMore.should.equal(true);
+    page1.cursor.should.be.a('string');
+    page2.documents.length.should.equal(1);
+    page2.hasMore.should.equal(false);
+    should.equal(page2.cursor, null);
+
+    const contents = [...page1.documents, ...page2.documents].map(
+      doc => doc.content);
+    for(const doc of docs) {
+      contents.should.deep.include(doc);
+    }
+  });
+  it('should iterate over docs in a collection', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const docs = [];
+    for(let i = 0; i < 3; ++i) {
+      const doc = {id: await EdvClient.generateId(), type: 'test'};
+      await collection.create({item: doc});
+      docs.push(doc);
+    }
+
+    const find = sinon.spy(collection.edvClient, 'find');
+    const contents = [];
+    let err;
+    let all;
+    try {
+      for await (const doc of collection.iterate({limit: 1})) {
+        contents.push(doc.content);
+      }
+      // the IDs of the documents are only found once per iteration
+      find.callCount.should.equal(1);
+      find.resetHistory();
+      all = await collection.getAll();
+    } catch(e) {
+      err = e;
+    } finally {
+      find.restore();
+    }
+    should.not.exist(err);
+    contents.length.should.equal(3);
+    for(const doc of docs) {
+      contents.should.deep.include(doc);
+    }
+    find.callCount.should.equal(1);
+    all.map(({content}) => content).should.have.deep.members(docs);
+  });
   it('should get a doc from a collection', async () => {
     const {id: profileId, meters} = await profileManager.createProfile(
       {didMethod: 'v1', didOptions: {mode: 'test'}});
@@ -252,4 +343,1005 @@ describe('Collection API', () => {
     result2.should.eql(result1);
     result2.content.should.eql(updatedItem);
   });
+  it('should merge conflicting updates', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+    await collection.create({item: doc1});
+
+    const merges = [];
+    let err;
+    let result;
+    try {
+      result = await collection.update({
+        id: doc1.id,
+        conflictStrategy: 'merge',
+        async mutator({existing}) {
+          // write a concurrent change
+          await collection.update({item: {...existing.content, remote: 1}});
+          return {...existing, content: {...existing.content, local: 1}};
+        },
+        merge({base, local, remote}) {
+          merges.push({base, local, remote});
+          return {content: {...remote.content, ...local.content}};
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    merges.should.have.length(1);
+    merges[0].base.content.should.eql(doc1);
+    merges[0].local.content.should.eql({...doc1, local: 1});
+    merges[0].remote.content.should.eql({...doc1, remote: 1});
+    result.content.should.eql({...doc1, local: 1, remote: 1});
+  });
+  it('should stop retrying conflicting updates', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test', count: 0};
+    await collection.create({item: doc1});
+
+    let calls = 0;
+    let err;
+    try {
+      await collection.update({
+        id: doc1.id,
+        maxAttempts: 3,
+        retryDelay: 1,
+        async mutator({existing}) {
+          calls++;
+          // always write a concurrent change
+          await collection.update({
+            item: {...existing.content, count: existing.content.count + 1}
+          });
+          return {...existing, content: {...existing.content, name: 'x'}};
+        }
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('InvalidStateError');
+    calls.should.equal(3);
+  });
+  it('should store and read an attachment', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+    const data = new Uint8Array(1000).map((x, i) => i % 256);
+
+    let err;
+    let result;
+    let read;
+    try {
+      result = await collection.create(
+        {item: doc1, stream: new Blob([data]), chunkSize: 256});
+      const stream = await collection.getStream({id: doc1.id});
+      read = new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    result.stream.chunks.should.equal(4);
+    read.should.eql(data);
+
+    let removeError;
+    try {
+      await collection.remove({id: doc1.id});
+      await collection.getStream({id: doc1.id});
+    } catch(e) {
+      removeError = e;
+    }
+    should.exist(removeError);
+    removeError.name.should.equal('NotFoundError');
+  });
+  it('should move removed docs to the trash', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test',
+      softDelete: true
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+    const doc2 = {id: await EdvClient.generateId(), type: 'test'};
+    await collection.create({item: doc1});
+    await collection.create({item: doc2});
+
+    let err;
+    let removed;
+    let trashed;
+    let restored;
+    let purged;
+    try {
+      removed = await collection.remove({id: doc1.id});
+      trashed = await collection.get({id: doc1.id, includeDeleted: true});
+      should.not.exist(await collection.get({id: doc1.id}));
+      (await collection.getAll()).map(({content}) => content.id)
+        .should.eql([doc2.id]);
+      restored = await collection.restore({id: doc1.id});
+      await collection.remove({id: doc2.id});
+      purged = await collection.purge();
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    removed.should.equal(true);
+    trashed.meta.deletedAt.should.be.a('string');
+    restored.meta.should.not.have.property('deletedAt');
+    purged.should.eql({purged: 1});
+    (await collection.getAll({includeDeleted: true}))
+      .map(({content}) => content.id).should.eql([doc1.id]);
+  });
+  it('should get docs that have all or any of the given types', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: ['test', 'A']};
+    const doc2 = {id: await EdvClient.generateId(), type: ['test', 'B']};
+    const doc3 = {id: await EdvClient.generateId(), type: ['test', 'A', 'B']};
+    await collection.createMany({items: [doc1, doc2, doc3]});
+
+    let err;
+    let all;
+    let any;
+    const spy = sinon.spy(collection.edvClient, 'find');
+    try {
+      all = await collection.getAll({types: ['A', 'B'], match: 'all'});
+      any = await collection.getAll({types: ['A', 'B'], match: 'any'});
+    } catch(e) {
+      err = e;
+    } finally {
+      spy.restore();
+    }
+    should.not.exist(err);
+    all.map(({content}) => content).should.eql([doc3]);
+    // every type is matched by the `content.type` index
+    spy.args.slice(0, 2).map(([{equals}]) => equals[0]['content.type'])
+      .should.have.members(['A', 'B']);
+    any.map(({content}) => content).should.have.deep.members(
+      [doc1, doc2, doc3]);
+  });
+  it('should find docs in a collection by content attributes', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test',
+      indexes: ['issuer', 'credentialSubject.id']
+    });
+    const doc1 = {
+      id: await EdvClient.generateId(),
+      type: 'test',
+      issuer: 'did:example:issuer1',
+      credentialSubject: {id: 'did:example:subject1'}
+    };
+    const doc2 = {
+      id: await EdvClient.generateId(),
+      type: 'test',
+      issuer: 'did:example:issuer2',
+      credentialSubject: {id: 'did:example:subject1'}
+    };
+    await collection.create({item: doc1});
+    await collection.create({item: doc2});
+
+    let result1;
+    let result2;
+    let result3;
+    let err;
+    try {
+      result1 = await collection.find(
+        {equals: {issuer: 'did:example:issuer1'}});
+      result2 = await collection.find({
+        equals: {'credentialSubject.id': 'did:example:subject1'},
+        count: true
+      });
+      result3 = await collection.find({has: 'issuer', limit: 1});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    result1.should.have.keys(['documents', 'hasMore']);
+    result1.documents.length.should.equal(1);
+    result1.documents[0].content.should.eql(doc1);
+    result1.hasMore.should.equal(false);
+    result2.should.eql({count: 2});
+    result3.documents.length.should.equal(1);
+    result3.hasMore.should.equal(true);
+  });
+  it('should not find docs of another type', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection1 = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test',
+      indexes: ['issuer']
+    });
+    const collection2 = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'other',
+      indexes: ['issuer']
+    });
+    await collection1.create({item: {
+      id: await EdvClient.generateId(),
+      type: 'test',
+      issuer: 'did:example:issuer1'
+    }});
+
+    let result1;
+    let result2;
+    let err;
+    try {
+      result1 = await collection2.find(
+        {equals: {issuer: 'did:example:issuer1'}});
+      result2 = await collection2.find({has: 'issuer'});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    result1.documents.should.eql([]);
+    result2.documents.should.eql([]);
+  });
+  it('should fail to find docs with both "equals" and "has"', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+
+    let result;
+    let err;
+    try {
+      result = await collection.find(
+        {equals: {issuer: 'did:example:issuer1'}, has: 'issuer'});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(result);
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+  it('should create, update, and remove many docs', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const items = [];
+    for(let i = 0; i < 3; ++i) {
+      items.push({id: await EdvClient.generateId(), type: 'test'});
+    }
+
+    let created;
+    let updated;
+    let removed;
+    let err;
+    try {
+      created = await collection.createMany({items, concurrency: 2});
+      updated = await collection.updateMany(
+        {items: items.map(item => ({...item, name: 'updated'}))});
+      removed = await collection.removeMany(
+        {ids: items.map(({id}) => id)});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    created.map(({document}) => document.content).should.eql(items);
+    updated.map(({document}) => document.content.name).should.eql(
+      ['updated', 'updated', 'updated']);
+    removed.should.eql([{removed: true}, {removed: true}, {removed: true}]);
+    const result = await collection.getAll();
+    result.should.eql([]);
+  });
+  it('should report per-item errors when creating many docs', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+    const doc2 = {id: await EdvClient.generateId(), type: 'other'};
+
+    let result;
+    let err;
+    try {
+      result = await collection.createMany({items: [doc1, doc2]});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    result.length.should.equal(2);
+    result[0].document.content.should.eql(doc1);
+    should.exist(result[1].error);
+    result[1].error.name.should.equal('TypeError');
+    const docs = await collection.getAll();
+    docs.map(({content}) => content).should.eql([doc1]);
+  });
+  it('should roll back created docs if one fails', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+    const doc2 = {id: await EdvClient.generateId(), type: 'other'};
+    const doc3 = {id: await EdvClient.generateId(), type: 'test'};
+    const removed = [];
+    collection.on('removed', ({document}) => removed.push(document.content));
+
+    let result;
+    let err;
+    try {
+      result = await collection.createMany(
+        {items: [doc1, doc2, doc3], concurrency: 1, rollback: true});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    result[0].rolledBack.should.equal(true);
+    removed.should.eql([doc1]);
+    result[1].error.name.should.equal('TypeError');
+    result[2].error.name.should.equal('AbortError');
+    const docs = await collection.getAll();
+    docs.should.eql([]);
+  });
+  it('should fail to create a doc that does not match the schema',
+    async () => {
+      const {id: profileId, meters} = await profileManager.createProfile(
+        {didMethod: 'v1', didOptions: {mode: 'test'}});
+      const {meter: edvMeter} = meters.find(
+        m => m.meter.referenceId === 'profile:core:edv');
+
+      await profileManager.createProfileEdv(
+        {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+      const collection = await profileManager.getCollection({
+        profileId,
+        referenceId: 'example',
+        type: 'test',
+        schema: {
+          type: 'object',
+          required: ['id', 'type', 'issuer'],
+          properties: {
+            issuer: {type: 'string'},
+            credentialSubject: {
+              type: 'object',
+              properties: {id: {type: 'string'}}
+            }
+          }
+        }
+      });
+      const doc1 = {
+        id: await EdvClient.generateId(),
+        type: 'test',
+        credentialSubject: {id: 1234}
+      };
+
+      let result;
+      let err;
+      try {
+        result = await collection.create({item: doc1});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.errors.map(({path}) => path).should.have.members(
+        ['/', '/credentialSubject/id']);
+      const docs = await collection.getAll();
+      docs.should.eql([]);
+    });
+  it('should fail to update a doc that does not match its type schema',
+    async () => {
+      const {id: profileId, meters} = await profileManager.createProfile(
+        {didMethod: 'v1', didOptions: {mode: 'test'}});
+      const {meter: edvMeter} = meters.find(
+        m => m.meter.referenceId === 'profile:core:edv');
+
+      await profileManager.createProfileEdv(
+        {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+      const collection = await profileManager.getCollection({
+        profileId,
+        referenceId: 'example',
+        type: 'test',
+        schemas: {
+          test: {
+            type: 'object',
+            properties: {name: {type: 'string'}}
+          }
+        }
+      });
+      const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+      await collection.create({item: doc1});
+
+      let result;
+      let err;
+      try {
+        result = await collection.update({item: {...doc1, name: 1}});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.errors.map(({path}) => path).should.eql(['/name']);
+    });
+  it('should validate a doc against a schema with local references',
+    async () => {
+      const {id: profileId, meters} = await profileManager.createProfile(
+        {didMethod: 'v1', didOptions: {mode: 'test'}});
+      const {meter: edvMeter} = meters.find(
+        m => m.meter.referenceId === 'profile:core:edv');
+
+      await profileManager.createProfileEdv(
+        {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+      const collection = await profileManager.getCollection({
+        profileId,
+        referenceId: 'example',
+        type: 'test',
+        schema: {
+          type: 'object',
+          $defs: {
+            status: {enum: ['active', 'inactive']}
+          },
+          properties: {
+            id: {type: 'string'},
+            type: {type: ['string', 'array']},
+            status: {$ref: '#/$defs/status'}
+          },
+          additionalProperties: false
+        }
+      });
+      const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+
+      let result;
+      let err;
+      try {
+        result = await collection.create({item: {...doc1, status: 'active'}});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(err);
+      should.exist(result);
+
+      result = undefined;
+      try {
+        result = await collection.update(
+          {item: {...doc1, status: 'unknown', name: 'foo'}});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.errors.map(({keyword}) => keyword).should.include.members(
+        ['enum', 'additionalProperties']);
+    });
+  it('should reject a schema with recursive references', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test',
+      schema: {
+        $defs: {item: {allOf: [{$ref: '#'}]}},
+        $ref: '#/$defs/item'
+      }
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+
+    let result;
+    let err;
+    try {
+      result = await collection.create({item: doc1});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(result);
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+    const docs = await collection.getAll();
+    docs.should.eql([]);
+  });
+  it('should upgrade docs when they are read', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection1 = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test', name: 'a'};
+    await collection1.create({item: doc1});
+
+    const collection2 = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test',
+      migrations: {
+        test: {
+          1: ({content}) => ({...content, label: content.name}),
+          2: ({content}) => {
+            const upgraded = {...content};
+            delete upgraded.name;
+            return upgraded;
+          }
+        }
+      }
+    });
+
+    let result1;
+    let result2;
+    let err;
+    try {
+      result1 = await collection2.get({id: doc1.id});
+      result2 = await collection1.get({id: doc1.id});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    result1.content.should.eql({id: doc1.id, type: 'test', label: 'a'});
+    result1.meta.schemaVersion.should.equal(2);
+    // the stored doc is not changed
+    result2.content.should.eql(doc1);
+  });
+  it('should keep the schema version on every write', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection1 = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const collection2 = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test',
+      migrations: {
+        test: {
+          1: ({content}) => ({...content, label: content.name})
+        }
+      }
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test', name: 'a'};
+
+    let created;
+    let updated;
+    let result;
+    let err;
+    try {
+      created = await collection1.create({item: doc1});
+      await collection2.update({
+        item: {...doc1, label: 'a'}, meta: {note: 'replaced'}
+      });
+      updated = await collection1.update({item: doc1, meta: {}});
+      result = await collection2.get({id: doc1.id});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    created.meta.schemaVersion.should.equal(0);
+    updated.meta.schemaVersion.should.equal(1);
+    // not migrated again
+    result.content.should.eql(doc1);
+  });
+  it('should migrate all docs', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection1 = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test', name: 'a'};
+    const doc2 = {id: await EdvClient.generateId(), type: 'test', name: 'b'};
+    await collection1.create({item: doc1});
+    await collection1.create({item: doc2});
+
+    const collection2 = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test',
+      migrations: {
+        test: {
+          1: ({content}) => ({...content, label: content.name})
+        }
+      }
+    });
+
+    let result1;
+    let result2;
+    let err;
+    try {
+      result1 = await collection2.migrateAll();
+      result2 = await collection2.migrateAll();
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    result1.migrated.should.equal(2);
+    result2.migrated.should.equal(0);
+    const docs = await collection1.getAll();
+    for(const doc of docs) {
+      doc.meta.schemaVersion.should.equal(1);
+      doc.content.label.should.equal(doc.content.name);
+    }
+  });
+  it('should emit events to collections for the same EDV', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection1 = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const collection2 = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test'
+    });
+    const events = [];
+    const handler = ({event, document}) => events.push(
+      {event, id: document.content.id});
+    collection2.on('created', handler);
+    collection2.on('updated', handler);
+    collection2.on('removed', handler);
+
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+    let err;
+    try {
+      await collection1.create({item: doc1});
+      await collection1.update({item: {...doc1, name: 'updated'}});
+      await collection1.remove({id: doc1.id});
+      collection2.off('created', handler);
+      await collection1.create(
+        {item: {id: await EdvClient.generateId(), type: 'test'}});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    events.should.eql([
+      {event: 'created', id: doc1.id},
+      {event: 'updated', id: doc1.id},
+      {event: 'removed', id: doc1.id}
+    ]);
+  });
+  it('should queue writes offline and sync them', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test',
+      localStore: new MemoryStore()
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+    const doc2 = {id: await EdvClient.generateId(), type: 'test'};
+    await collection.create({item: doc1});
+
+    // simulate losing the connection
+    const {edvClient} = collection;
+    const networkError = new TypeError('Failed to fetch');
+    networkError.requestUrl = edvClient.id;
+    const stubs = ['find', 'get', 'update', 'delete'].map(
+      method => sinon.stub(edvClient, method).rejects(networkError));
+    let err;
+    let result;
+    let synced;
+    try {
+      await collection.update({item: {...doc1, name: 'offline'}});
+      await collection.create({item: doc2});
+      result = await collection.get({id: doc1.id});
+      for(const stub of stubs) {
+        stub.restore();
+      }
+      synced = await collection.sync();
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    result.content.should.eql({...doc1, name: 'offline'});
+    synced.should.eql({synced: 2, pending: 0, errors: []});
+
+    const {documents} = await edvClient.find(
+      {equals: {'content.type': 'test'}});
+    documents.map(({content}) => content).should.have.deep.members(
+      [{...doc1, name: 'offline'}, doc2]);
+  });
+  it('should sync writes queued by another collection instance', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const localStore = new MemoryStore();
+    const options = {profileId, referenceId: 'example', type: 'test'};
+    const collection1 = await profileManager.getCollection(
+      {...options, localStore});
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+    const doc2 = {id: await EdvClient.generateId(), type: 'test'};
+
+    // queue a write while the connection is lost
+    const networkError = new TypeError('Failed to fetch');
+    networkError.requestUrl = collection1.edvClient.id;
+    const stub = sinon.stub(collection1.edvClient, 'update')
+      .rejects(networkError);
+    await collection1.create({item: doc1});
+    stub.restore();
+
+    // `sync` is the first call on a new collection using the same store
+    const collection2 = await profileManager.getCollection(
+      {...options, localStore});
+    let err;
+    let synced;
+    let pending;
+    try {
+      synced = await collection2.sync();
+      await collection2.create({item: doc2});
+      pending = await localStore.list({prefix: 'queue/'});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(err);
+    synced.should.eql({synced: 1, pending: 0, errors: []});
+    pending.should.eql([]);
+    const docs = await collection2.getAll();
+    docs.map(({content}) => content).should.have.deep.members([doc1, doc2]);
+  });
+  it('should emit syncFailed when a queued write fails', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test',
+      localStore: new MemoryStore()
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+    await collection.create({item: doc1});
+
+    // queue an update while the connection is lost
+    const {edvClient} = collection;
+    const networkError = new TypeError('Failed to fetch');
+    networkError.requestUrl = edvClient.id;
+    let stub = sinon.stub(edvClient, 'update').rejects(networkError);
+    await collection.update({item: {...doc1, name: 'queued'}});
+    stub.restore();
+
+    const failed = [];
+    collection.on('syncFailed', event => failed.push(event));
+    const writeError = new Error('Write failed.');
+    writeError.name = 'DataError';
+    stub = sinon.stub(edvClient, 'update').rejects(writeError);
+    let err;
+    let result;
+    try {
+      // the queued update is replayed before the read
+      result = await collection.get({id: doc1.id});
+    } catch(e) {
+      err = e;
+    } finally {
+      stub.restore();
+    }
+    should.not.exist(err);
+    result.content.should.eql(doc1);
+    failed.should.have.length(1);
+    failed[0].op.should.equal('update');
+    failed[0].error.should.equal(writeError);
+    failed[0].document.content.should.eql({...doc1, name: 'queued'});
+  });
+  it('should write in order and not queue other errors', async () => {
+    const {id: profileId, meters} = await profileManager.createProfile(
+      {didMethod: 'v1', didOptions: {mode: 'test'}});
+    const {meter: edvMeter} = meters.find(
+      m => m.meter.referenceId === 'profile:core:edv');
+
+    await profileManager.createProfileEdv(
+      {profileId, meterId: edvMeter.id, referenceId: 'example'});
+
+    const collection = await profileManager.getCollection({
+      profileId,
+      referenceId: 'example',
+      type: 'test',
+      localStore: new MemoryStore()
+    });
+    const doc1 = {id: await EdvClient.generateId(), type: 'test'};
+    const doc2 = {id: await EdvClient.generateId(), type: 'test'};
+    await collection.create({item: doc1});
+
+    // queue an update while the connection is lost
+    const {edvClient} = collection;
+    const networkError = new TypeError('Failed to fetch');
+    networkError.requestUrl = edvClient.id;
+    const stub = sinon.stub(edvClient, 'update').rejects(networkError);
+    await collection.update({item: {...doc1, name: 'queued'}});
+    stub.restore();
+
+    const written = [];
+    const update = sinon.stub(edvClient, 'update').callsFake(
+      async function(options) {
+        written.push(options.doc.content.id);
+        return update.wrappedMethod.call(edvClient, options);
+      });
+    const created = [];
+    collection.on('created', ({document}) => created.push(document));
+    let err;
+    let mutatorError;
+    let synced;
+    try {
+      // a write made while syncing waits for the queued writes
+      [synced] = await Promise.all([
+        collection.sync(),
+        collection.create({item: doc2})
+      ]);
+      try {
+        await collection.update({
+          id: doc1.id,
+          mutator() {
+            throw new TypeError('Invalid item.');
+          }
+        });
+      } catch(e) {
+        mutatorError = e;
+      }
+    } catch(e) {
+      err = e;
+    } finally {
+      update.restore();
+    }
+    should.not.exist(err);
+    synced.should.eql({synced: 1, pending: 0, errors: []});
+    written.should.eql([doc1.id, doc2.id]);
+    created.map(({content}) => content).should.eql([doc2]);
+    should.exist(mutatorError);
+    mutatorError.message.should.equal('Invalid item.');
+    (await collection.sync()).pending.should.equal(0);
+  });
 });
@@ -0,0 +1,95 @@
+/*!
+ * Copyright (c) 2024 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// local, in-memory stand-in for an `EdvClient` for offline tests
+export class MockEdvClient {
+  constructor() {
+    this.documents = new Map();
+    this.indexes = [];
+  }
+
+  ensureIndex({attribute, unique = false} = {}) {
+    this.indexes.push({attribute, unique});
+  }
+
+  async update({doc} = {}) {
+    const existing = this.documents.get(doc.id);
+    if(existing && doc.sequence === undefined) {
+      throw _createError({name: 'DuplicateError'});
+    }
+    if(existing && doc.sequence !== existing.sequence) {
+      throw _createError({name: 'InvalidStateError'});
+    }
+    const stored = structuredClone(
+      {...doc, sequence: existing ? existing.sequence + 1 : 0});
+    this.documents.set(doc.id, stored);
+    return structuredClone(stored);
+  }
+
+  async get({id} = {}) {
+    const doc = this.documents.get(id);
+    if(!doc) {
+      throw _createError({name: 'NotFoundError'});
+    }
+    return structuredClone(doc);
+  }
+
+  async find({equals, has, limit, count = false, returnDocuments} = {}) {
+    if((equals === undefined) === (has === undefined)) {
+      throw new Error('Either "equals" or "has" must be defined.');
+    }
+    if(equals && !Array.isArray(equals)) {
+      equals = [equals];
+    }
+    if(has && !Array.isArray(has)) {
+      has = [has];
+    }
+    let documents = [...this.documents.values()].filter(doc => {
+      if(equals && !equals.some(query => Object.entries(query).every(
+        ([attribute, value]) => _matches(_get(doc, attribute), value)))) {
+        return false;
+      }
+      if(has && !has.every(attribute => _get(doc, attribute) !== undefined)) {
+        return false;
+      }
+      return true;
+    });
+    if(count) {
+      return {count: documents.length};
+    }
+    let hasMore = false;
+    if(limit !== undefined && documents.length > limit) {
+      documents = documents.slice(0, limit);
+      hasMore = true;
+    }
+    if(returnDocuments === false) {
+      return {documentIds: documents.map(({id}) => id), hasMore};
+    }
+    return {documents: documents.map(doc => structuredClone(doc)), hasMore};
+  }
+
+  async delete({doc} = {}) {
+    await this.update({doc: {...doc, content: {}, meta: {deleted: true}}});
+    return true;
+  }
+}
+
+function _get(doc, attribute) {
+  return attribute.split('.').reduce(
+    (value, key) => value === undefined || value === null ?
+      undefined : value[key], doc);
+}
+
+function _matches(actual, expected) {
+  if(Array.isArray(actual)) {
+    return actual.includes(expected);
+  }
+  return actual === expected;
+}
+
+function _createError({name}) {
+  const error = new Error(`Mock EDV ${name}.`);
+  error.name = name;
+  return error;
+}